@@ -0,0 +1,176 @@
+/**
+ * Cricket Clash server options — built-in defaults, then an optional JSON
+ * config file, then command-line flags, each overriding the one before.
+ * Also works out which network addresses other devices can reach us on.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { parseFormat } = require('./engine');
+
+const DEFAULTS = {
+  port:             3000,
+  host:             '0.0.0.0',
+  interface:        null, // interface name or address for join links and QR codes; null = the first
+  reconnectSeconds: 30,   // how long a dropped player keeps their slot
+  revealSeconds:    10,   // how long a committed pick may stay hidden once both are in
+  adminPassword:    null, // for /admin; null = a new random one each start, shown in the banner
+  match:            {},   // createRoom's format fields, for whatever a client leaves out
+};
+const PORT_TRIES   = 10; // a busy port moves on to the next one, this many times
+const MATCH_FIELDS = ['format', 'superOver', 'tieBreak', 'pickSeconds', 'onTimeout', 'rules', 'matchups', 'teams'];
+const WILDCARDS    = ['0.0.0.0', '::'];
+
+// flag → [option, kind]; match fields land in config.match
+const FLAGS = {
+  '--config':            ['config', 'string'],
+  '--port':              ['port', 'int'],
+  '--host':              ['host', 'string'],
+  '--interface':         ['interface', 'string'],
+  '--reconnect-seconds': ['reconnectSeconds', 'int'],
+  '--reveal-seconds':    ['revealSeconds', 'int'],
+  '--admin-password':    ['adminPassword', 'string'],
+  '--format':            ['format', 'format'],
+  '--super-over':        ['superOver', 'boolean'],
+  '--tie-break':         ['tieBreak', 'string'],
+  '--pick-seconds':      ['pickSeconds', 'int'],
+  '--on-timeout':        ['onTimeout', 'string'],
+  '--rules':             ['rules', 'string'],
+  '--matchups':          ['matchups', 'boolean'],
+  '--teams':             ['teams', 'boolean'],
+};
+
+const USAGE = `Usage: node cricket-lan-server1.js [options]
+
+Server
+  --config FILE            JSON options file (default: cricket-config.json
+                           next to the server, if there is one)
+  --port N                 port to listen on, or the next free one (3000)
+  --host ADDRESS           address to listen on (0.0.0.0 = every interface)
+  --interface NAME|ADDRESS network interface for join links and QR codes
+  --reconnect-seconds N    how long a dropped player keeps their slot (30)
+  --reveal-seconds N       how long a locked-in pick may stay hidden (10)
+  --admin-password WORD    password for the /admin dashboard (default: a
+                           random one, shown when the server starts)
+
+Default match, for whatever the create form leaves out
+  --format KEY|OVERSxWKTS  quick, t5, t10, t20 or e.g. 8x6 (t5)
+  --super-over             settle ties with a Super Over
+  --tie-break shared|boundaries
+  --pick-seconds N         shot clock, 0 for none (0)
+  --on-timeout random|penalty
+  --rules classic|realistic
+  --matchups               shot-vs-delivery matchups; change the table with
+                           "matchups" in the config file's "match", e.g.
+                           { "Sweep,Spinner": { "wicket": 0.4 }, "0,3": null }
+  --teams                  team matches, up to 11 devices a side
+
+  -h, --help               show this and exit
+`;
+
+function parseArgs(argv) {
+  const args = { match: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') return { help: true };
+    const eq   = argv[i].indexOf('=');
+    const flag = eq < 0 ? argv[i] : argv[i].slice(0, eq);
+    if (!FLAGS[flag]) throw new Error('Unknown option ' + argv[i] + ' (see --help)');
+    const [key, kind] = FLAGS[flag];
+    let value = eq < 0 ? undefined : argv[i].slice(eq + 1);
+    if (kind === 'boolean') {
+      if (value !== undefined) throw new Error(flag + ' takes no value');
+      value = true;
+    } else if (value === undefined) {
+      if (i + 1 >= argv.length) throw new Error(flag + ' needs a value');
+      value = argv[++i];
+    }
+    if (kind === 'int') value = /^\d+$/.test(value) ? Number(value) : value;
+    if (kind === 'format') {
+      const custom = value.match(/^(\d+)x(\d+)$/i);
+      if (custom) value = { overs: Number(custom[1]), wickets: Number(custom[2]) };
+    }
+    (MATCH_FIELDS.includes(key) ? args.match : args)[key] = value;
+  }
+  return args;
+}
+
+function readConfigFile(file) {
+  let saved;
+  try { saved = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (err) {
+    throw new Error('Could not read ' + file + ': ' + err.message);
+  }
+  if (!isObject(saved)) throw new Error(file + ' should hold a JSON object');
+  for (const key of Object.keys(saved)) {
+    if (!(key in DEFAULTS)) throw new Error(file + ': unknown option "' + key + '"');
+  }
+  if (!isObject(saved.match || {})) throw new Error(file + ': "match" should be an object');
+  for (const key of Object.keys(saved.match || {})) {
+    if (!MATCH_FIELDS.includes(key)) throw new Error(file + ': unknown match option "' + key + '"');
+  }
+  return saved;
+}
+
+function isObject(v) { return !!v && typeof v === 'object' && !Array.isArray(v); }
+function isInt(v, min, max) { return Number.isInteger(v) && v >= min && v <= max; }
+
+function validate(config) {
+  if (!isInt(config.port, 1, 65535)) throw new Error('port must be a whole number from 1 to 65535');
+  if (typeof config.host !== 'string' || !config.host) throw new Error('host must be an address, e.g. 0.0.0.0');
+  if (config.interface !== null && (typeof config.interface !== 'string' || !config.interface)) {
+    throw new Error('interface must be a network interface name or address');
+  }
+  if (!isInt(config.reconnectSeconds, 0, 3600)) throw new Error('reconnectSeconds must be 0–3600');
+  if (!isInt(config.revealSeconds, 1, 600)) throw new Error('revealSeconds must be 1–600');
+  if (config.adminPassword !== null && (typeof config.adminPassword !== 'string' || !config.adminPassword)) {
+    throw new Error('adminPassword must be some text, or null for a random one');
+  }
+  if (isObject(config.match.matchups) && !parseFormat(null, { matchups: config.match.matchups })) {
+    throw new Error('match.matchups should map "shot,delivery" pairs to { wicket, reduced, bonus } chances ' +
+      'adding up to at most 1, or to null to take a pair out');
+  }
+  if (!parseFormat(config.match.format, config.match)) {
+    throw new Error('The default match ' + JSON.stringify(config.match) + ' is not a valid format (see --help)');
+  }
+}
+
+// Options from defaults < config file < flags. A missing default file is
+// fine; a missing --config file, a bad value or an unknown option throws.
+function loadConfig(argv, defaultFile) {
+  const args = parseArgs(argv);
+  if (args.help) return { help: true };
+  const file   = args.config || (defaultFile && fs.existsSync(defaultFile) ? defaultFile : null);
+  const saved  = file ? readConfigFile(file) : {};
+  const config = { ...DEFAULTS, ...saved, ...args, match: { ...saved.match, ...args.match }, file };
+  if (args.match.matchups && isObject((saved.match || {}).matchups)) config.match.matchups = saved.match.matchups; // --matchups keeps the file's table
+  delete config.config;
+  validate(config);
+  return config;
+}
+
+// The IPv4 addresses other devices can reach, as [{ name, address }], with
+// the one for join links first: the bound host, else the chosen interface,
+// else the first found. Loopback only when that's all there is.
+function reachableAddresses(config, nets = os.networkInterfaces()) {
+  const all = [];
+  for (const name of Object.keys(nets)) {
+    for (const iface of nets[name]) {
+      if (iface.family === 'IPv4' || iface.family === 4) all.push({ name, address: iface.address, internal: iface.internal });
+    }
+  }
+  const lan = all.filter(a => !a.internal).map(({ name, address }) => ({ name, address }));
+  if (!WILDCARDS.includes(config.host)) {
+    const bound = all.find(a => a.address === config.host);
+    return [{ name: bound ? bound.name : null, address: config.host }];
+  }
+  if (config.interface) {
+    const chosen = lan.find(a => a.name === config.interface || a.address === config.interface);
+    if (!chosen) {
+      throw new Error('No network interface ' + config.interface + ' — found ' +
+        (lan.map(a => a.name + ' (' + a.address + ')').join(', ') || 'none'));
+    }
+    return [chosen, ...lan.filter(a => a !== chosen)];
+  }
+  return lan.length ? lan : [{ name: null, address: '127.0.0.1' }];
+}
+
+module.exports = { DEFAULTS, PORT_TRIES, USAGE, loadConfig, reachableAddresses };
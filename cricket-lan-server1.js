@@ -2,779 +2,2349 @@
 /**
  * Cricket Clash — LAN Multiplayer Server
  * Pure Node.js, zero dependencies.
- * Run: node cricket-lan-server.js
+ * Run: node cricket-lan-server.js  (--help lists the options)
  */
 
 const http = require('http');
 const crypto = require('crypto');
-const os = require('os');
-
-const PORT = 3000;
-
-// ─── Local IP ─────────────────────────────────────────────────────────────────
-function getLocalIP() {
-  const nets = os.networkInterfaces();
-  for (const name of Object.keys(nets)) {
-    for (const iface of nets[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) return iface.address;
-    }
-  }
-  return '127.0.0.1';
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ws = require('./websocket');
+const engine = require('./engine');
+const { SHOTS, DELIVERIES, FORMATS, MAX_WICKETS, MAX_OVERS, MAX_PICK_SECONDS, MIN_TEAM, MAX_TEAM, BYES, parseFormat, inningsLimits } = engine;
+const { PORT_TRIES, USAGE, loadConfig, reachableAddresses } = require('./config');
+
+// ─── Options ───────────────────────────────────────────────────────────────────
+// Flags over cricket-config.json over the defaults; see --help
+let config, ADDRESSES;
+try {
+  config = loadConfig(process.argv.slice(2), path.join(__dirname, 'cricket-config.json'));
+  if (config.help) { process.stdout.write(USAGE); process.exit(0); }
+  ADDRESSES = reachableAddresses(config);
+} catch (err) {
+  console.error('\n❌  ' + err.message + '\n');
+  process.exit(1);
 }
-const LOCAL_IP = getLocalIP();
+const LOCAL_IP = ADDRESSES[0].address; // the one join links and QR codes use
+let port = config.port; // moves on if this one is taken
+
+const RECONNECT_GRACE_MS = config.reconnectSeconds * 1000; // how long a dropped player keeps their slot
+const REVEAL_TIMEOUT_MS  = config.revealSeconds * 1000; // how long a committed pick may stay hidden once both are in
+const MAX_FRAME_BYTES    = 16 * 1024; // every legitimate message is well under 1 KB
+const HEARTBEAT_MS       = 20000; // ping idle sockets; drop any that miss a whole round
+const RATE_LIMIT         = { burst: 20, perSecond: 10 }; // messages per connection
+const CHAT_LIMIT         = { burst: 4, perSecond: 0.5 }; // chat lines per connection, within RATE_LIMIT
+const PROFILES_FILE = path.join(__dirname, 'cricket-profiles.json');
+const REPLAYS_DIR   = path.join(__dirname, 'cricket-replays');
 
 // ─── Game constants ────────────────────────────────────────────────────────────
-const SHOTS = [
-  { name: 'Defensive', emoji: '🛡️', runs: 1 },
-  { name: 'Drive',     emoji: '🏏', runs: 2 },
-  { name: 'Cut',       emoji: '⚡', runs: 3 },
-  { name: 'Sweep',     emoji: '🌊', runs: 4 },
-  { name: 'Lofted',   emoji: '🌙', runs: 5 },
-  { name: 'Six!',      emoji: '💥', runs: 6 },
-];
-const MAX_WICKETS = 10;
-const MAX_BALLS   = 30; // 5 overs
+const REACTIONS       = ['👏', '🔥', '😱', '😂', '🎉', '🦆'];
+const REACTION_GAP_MS = 400; // per spectator, so a held-down button can't flood the room
+const EMOTES          = ['Well bowled!', 'Shot!', 'Lucky!', 'Howzat?!', 'Unlucky', 'Good game'];
+const CHAT_MAX_CHARS  = 140;
+const CHAT_HISTORY    = 50; // messages a match keeps for anyone joining late
+// Control, zero-width and bidi-override characters, which could hide or garble text
+const CHAT_STRIP      = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g;
+const TOURNAMENT_KINDS = ['league', 'knockout'];
+const MAX_ENTRANTS     = 16;
+const POINTS           = { win: 2, tie: 1, loss: 0 };
+
+// The format fields shared by createRoom and createTournament; anything left
+// out comes from the server's default match. Clients only turn matchups on
+// or off, so on means whatever table the server's options set up.
+function formatFromMessage(msg) {
+  const given = key => (msg[key] === undefined || msg[key] === '' ? config.match[key] : msg[key]);
+  const table = config.match.matchups && typeof config.match.matchups === 'object' ? config.match.matchups : true;
+  return parseFormat(given('format'), {
+    superOver:   given('superOver'),
+    tieBreak:    given('tieBreak'),
+    pickSeconds: given('pickSeconds'),
+    onTimeout:   given('onTimeout'),
+    rules:       given('rules'),
+    matchups:    given('matchups') && table,
+    teams:       given('teams'),
+  });
+}
+const DEFAULT_MATCH = formatFromMessage({}); // sent to each browser to preset the create form
 
 // ─── Game state ────────────────────────────────────────────────────────────────
-function newGame() {
+function newSeed() { return crypto.randomBytes(4).readUInt32LE(0); }
+
+// The engine's state plus what only the server deals with: who sits where,
+// hidden picks, the clocks and the event log
+function newRoomGame(format, seed = newSeed()) {
+  return {
+    ...engine.newGame(format, seed),
+    slots:   [null, null],
+    commits: [null, null], // sha256(pick:nonce) from players who haven't revealed yet
+    nonces:  [null, null],
+    away:    [null, null], // reconnect deadline (ms) while a player is disconnected
+    deadline: null, // shot clock expiry (ms) for the current ball
+    rematch:  [false, false], // who has asked to restart; both must agree
+    events:   [], // the logged actions, enough to rebuild the match from its seed
+    startedAt: null,
+    chat:     [], // the last CHAT_HISTORY chat messages, never logged or replayed
+  };
+}
+
+// Both sides are locked in and at least one pick is still hidden behind its commitment
+function revealing(game) {
+  return game.phase === 'picking' && game.commits.some((c, s) => c !== null && game.picks[s] === null) &&
+    [0, 1].every(s => game.picks[s] !== null || game.commits[s] !== null);
+}
+
+// ─── Rooms ─────────────────────────────────────────────────────────────────────
+const rooms    = new Map(); // code -> { code, name, game, created, tokens, graceTimers }
+const sessions = new Map(); // token -> room code, for resuming a slot after a reconnect
+const CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I/O, easy to read aloud
+
+function newRoomCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(4), b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  } while (rooms.has(code) || tournaments.has(code));
+  return code;
+}
+
+function createRoom(name, format) {
+  const code = newRoomCode();
+  const room = {
+    code,
+    name:    String(name || '').slice(0, 30) || 'Room ' + code,
+    game:    newRoomGame(format),
+    created: Date.now(),
+    lastMatch:   null, // record of the most recent finished match, for download
+    tokens:      [null, null],
+    devices:     [null, null], // profile keys of the seated players
+    graceTimers: [null, null],
+    pickTimer:   null,
+    revealTimer: null,
+    fixture:     null, // { tournament, id } when the room plays a tournament fixture
+    squads:      format.teams ? [[], []] : null, // team mode: each side's seats in batting order
+    mutes:       new Map(), // chat id -> Set of chat ids they don't want to hear
+    held:        false, // paused from /admin
+    nextFormat:  null, // set from /admin for the next match
+  };
+  rooms.set(code, room);
+  return room;
+}
+
+// Connected humans in the room (bots are registered as clients but never counted)
+function roomMembers(room) {
+  return [...clients].filter(([, c]) => c.room === room.code && !c.bot).map(([sid]) => sid);
+}
+
+function spectatorCount(room) {
+  return roomMembers(room).filter(sid => sideOf(room, sid) < 0).length;
+}
+
+function releaseSlot(room, slot) {
+  const game = room.game;
+  clearTimeout(room.graceTimers[slot]);
+  room.graceTimers[slot] = null;
+  sessions.delete(room.tokens[slot]);
+  room.tokens[slot]  = null;
+  room.devices[slot] = null;
+  game.slots[slot]  = null;
+  game.away[slot]   = null;
+  game.commits[slot] = null; // nobody else knows the nonce
+  game.rematch[slot] = false;
+  apply(room, { type: 'pause' });
+}
+
+function closeRoomIfEmpty(room) {
+  const away = room.squads ? room.squads.some(squad => squad.some(s => s.away)) : room.game.away.some(t => t !== null);
+  if (roomMembers(room).length > 0 || away) return false;
+  if (room.bot) removeBot(room);
+  clearTimeout(room.pickTimer);
+  clearTimeout(room.revealTimer);
+  rooms.delete(room.code);
+  broadcastLobby();
+  if (room.fixture) broadcastTournament(tournaments.get(room.fixture.tournament));
+  return true;
+}
+
+function roomSummary(room) {
+  const game = room.game;
+  if (room.squads) {
+    return {
+      code:       room.code,
+      name:       room.name,
+      phase:      game.phase,
+      format:     game.format.name + ' · teams',
+      names:      room.squads.map((squad, i) => squad.length ? game.names[i] + ' (' + squad.length + ')' : null),
+      open:       lineupOpen(game) ? room.squads.some(squad => squad.length < MAX_TEAM) : room.squads.some(squad => squad.some(s => !s.sid)),
+      spectators: spectatorCount(room),
+    };
+  }
   return {
-    slots: [null, null],
-    names: ['Player 1', 'Player 2'],
-    innings: 1,
-    batting: 0,
-    scores:  [0, 0],
-    wickets: [0, 0],
-    balls:   0,
-    target:  null,
-    picks:   [null, null],
-    phase:   'waiting',
-    lastResult: null,
+    code:       room.code,
+    name:       room.name,
+    phase:      game.phase,
+    format:     game.format.name,
+    names:      game.slots.map((s, i) => s !== null ? game.names[i] : null),
+    open:       game.slots.includes(null),
+    spectators: spectatorCount(room),
   };
 }
-let game = newGame();
 
-function bowlerIdx() { return game.batting === 0 ? 1 : 0; }
+// ─── Teams ─────────────────────────────────────────────────────────────────────
+// A team room seats up to MAX_TEAM players a side, each with a token of their
+// own. The engine still sees one player a side: game.slots holds whoever picks
+// for each side right now — the batter and the bowler, or a teammate standing
+// in while they are away — and a side only counts as away once all of it is.
+
+function seatOf(room, sid) {
+  for (const side of [0, 1]) {
+    const seat = room.squads[side].find(s => s.sid === sid);
+    if (seat) return { side, seat };
+  }
+  return null;
+}
+
+// The side a connection plays for, or -1 for a spectator
+function sideOf(room, sid) {
+  if (!room.squads) return room.game.slots.indexOf(sid);
+  const found = seatOf(room, sid);
+  return found ? found.side : -1;
+}
+
+// Players may join, swap sides and reorder until someone starts the match
+function lineupOpen(game) {
+  return game.phase === 'waiting' && game.toss.call === null;
+}
+
+function syncSquads(room) {
+  const game   = room.game;
+  const active = engine.activePlayers(game);
+  for (const side of [0, 1]) {
+    const squad = room.squads[side];
+    const here  = squad.filter(s => s.sid && !s.away);
+    const seat  = squad[active[side]];
+    const sid   = seat && seat.sid && !seat.away ? seat.sid
+                : here.length ? here[0].sid
+                : seat && seat.sid ? seat.sid : (squad.find(s => s.sid) || { sid: null }).sid;
+    // Nobody else knows the nonce behind a hidden pick
+    if (game.slots[side] !== sid && game.picks[side] === null) game.commits[side] = null;
+    game.slots[side] = sid;
+    const away = squad.filter(s => s.away).map(s => s.away);
+    game.away[side] = here.length || !away.length ? null : Math.min(...away);
+  }
+}
+
+// After any change of seats. Once started, the match pauses while a side has
+// nobody and carries on once it has. Before the start (or back at the
+// line-ups) seats that were left go, the engine's line-ups follow the squads
+// and each side is named after whoever tops its order.
+function squadsChanged(room) {
+  if (!lineupOpen(room.game)) {
+    apply(room, { type: room.squads.every(squad => squad.some(s => s.sid)) ? 'start' : 'pause' });
+  }
+  if (!lineupOpen(room.game)) return;
+  room.squads = room.squads.map(squad => squad.filter(s => s.sid));
+  room.squads.forEach((squad, side) => {
+    apply(room, { type: 'setTeam', slot: side, players: squad.map(s => s.name) });
+    room.game.names[side] = squad.length ? squad[0].name + "'s XI" : 'Team ' + (side + 1);
+  });
+}
+
+// Joins the smaller side while the line-ups are open; after that, takes over
+// a seat someone has left, or else watches
+function joinSquad(sid, room, name) {
+  const game   = room.game;
+  const client = clients.get(sid);
+  const count  = squad => lineupOpen(game) ? squad.length : squad.filter(s => s.sid).length;
+  let side = count(room.squads[0]) <= count(room.squads[1]) ? 0 : 1;
+  let seat = null;
+  if (lineupOpen(game)) {
+    if (room.squads[side].length >= MAX_TEAM) side = 1 - side;
+    if (room.squads[side].length < MAX_TEAM) {
+      seat = { sid, token: null, device: null, name: String(name || '').slice(0, 20) || 'Player', away: null, graceTimer: null };
+      room.squads[side].push(seat);
+    }
+  } else {
+    seat = room.squads[side].find(s => !s.sid) || room.squads[1 - side].find(s => !s.sid) || null;
+    if (seat) side = room.squads[side].includes(seat) ? side : 1 - side;
+  }
+  if (seat) {
+    Object.assign(seat, { sid, token: crypto.randomBytes(16).toString('hex'), device: client.device });
+    sessions.set(seat.token, room.code);
+    squadsChanged(room);
+  }
+  sendTo(sid, { type: 'joined', slot: -1, side: seat ? side : -1, room: room.code, token: seat && seat.token });
+  sendChatHistory(sid, room);
+  broadcastState(room);
+}
+
+// Once the match is under way the name stays in the line-up for whoever takes the seat over
+function releaseSeat(room, seat) {
+  clearTimeout(seat.graceTimer);
+  sessions.delete(seat.token);
+  Object.assign(seat, { sid: null, token: null, device: null, away: null, graceTimer: null });
+  squadsChanged(room);
+}
 
 // ─── WebSocket clients ─────────────────────────────────────────────────────────
-const clients = new Map(); // id -> { send(text), socket }
+const clients = new Map(); // id -> { send(text), close(code, reason), room }
 
 function sendTo(id, obj) {
   const c = clients.get(id);
   if (c) try { c.send(JSON.stringify(obj)); } catch(_) {}
 }
 
-function broadcastState() {
-  for (const [sid] of clients) {
+function broadcastLobby() {
+  const list = [...rooms.values()]
+    .sort((a, b) => a.created - b.created)
+    .map(roomSummary);
+  const cups = [...tournaments.values()].map(tournamentSummary);
+  for (const [sid, c] of clients) {
+    if (c.room === null) sendTo(sid, { type: 'lobby', rooms: list, tournaments: cups });
+  }
+}
+
+// What one seat (or a spectator, slot -1) is allowed to see of the game
+function gameView(game, slot) {
+  const reveal = revealing(game);
+  return {
+    format:     game.format,
+    phase:      reveal ? 'reveal' : game.phase,
+    innings:    game.innings,
+    batting:    game.batting,
+    scores:     game.scores,
+    wickets:    game.wickets,
+    balls:      game.balls,
+    target:     game.target,
+    names:      game.names,
+    lastResult: game.lastResult,
+    history:    game.history,
+    limits:     inningsLimits(game),
+    superOver:  game.superOver,
+    result:     game.result,
+    toss:       game.toss,
+    myPick:     slot >= 0 ? game.picks[slot] !== null || game.commits[slot] !== null : false,
+    commits:    reveal ? game.commits : null,
+    reveal:     slot >= 0 && reveal && game.commits[slot] !== null && game.picks[slot] === null,
+    rematch:    game.rematch,
+    slots:      game.slots.map(s => s !== null),
+    away:       game.away.map(t => t === null ? null : Math.max(0, t - Date.now())),
+    clock:      game.deadline === null ? null : Math.max(0, game.deadline - Date.now()),
+    freeHit:    game.freeHit,
+    teams:      game.teams,
+    active:     engine.activePlayers(game),
+    figures:    engine.playerFigures(game),
+    insights:   game.phase === 'gameover' ? engine.matchInsights(game) : null,
+  };
+}
+
+function broadcastState(room) {
+  if (room.squads) syncSquads(room);
+  const game = room.game;
+  syncPickClock(room);
+  syncRevealTimer(room);
+  const spectators = spectatorCount(room);
+  const replay     = game.phase === 'gameover' && room.lastMatch ? room.lastMatch.id : null;
+  const squads     = room.squads && room.squads.map(squad => squad.map(s => ({ name: s.name, here: !!s.sid && !s.away })));
+  const lineup     = !!room.squads && lineupOpen(game);
+  for (const sid of roomMembers(room)) {
     const slot = game.slots.indexOf(sid);
     sendTo(sid, {
       type: 'state',
-      slot,
-      game: {
-        phase:      game.phase,
-        innings:    game.innings,
-        batting:    game.batting,
-        scores:     game.scores,
-        wickets:    game.wickets,
-        balls:      game.balls,
-        target:     game.target,
-        names:      game.names,
-        lastResult: game.lastResult,
-        myPick:     slot >= 0 ? game.picks[slot] !== null : false,
-        slots:      game.slots.map(s => s !== null),
-      }
+      slot, // the side this connection is picking for right now, if any
+      side: sideOf(room, sid),
+      room: { code: room.code, name: room.name, spectators, tournament: room.fixture && room.fixture.tournament, replay, squads, lineup, held: room.held },
+      game: gameView(game, slot),
     });
   }
+  broadcastLobby();
+  if (room.fixture) broadcastTournament(tournaments.get(room.fixture.tournament));
+  if (room.bot) scheduleBot(room);
+}
+
+// seat: a slot to take (the caller checks it is free), -1 to watch, or
+// undefined for the first free slot
+function joinRoom(sid, room, name, seat) {
+  const client = clients.get(sid);
+  if (!client) return;
+  if (client.room !== null) leaveRoom(sid);
+  client.room = room.code;
+  if (name) client.name = String(name).slice(0, 20);
+  if (room.squads) { joinSquad(sid, room, name); return; }
+
+  const game = room.game;
+  let slot = -1;
+  if      (seat !== undefined) slot = seat;
+  else if (game.slots[0] === null) slot = 0;
+  else if (game.slots[1] === null) slot = 1;
+  if (slot >= 0) game.slots[slot] = sid;
+  // Through the engine, so a player taking over mid-match is in the log (and the replay)
+  const named = slot >= 0 && name && !room.fixture ? String(name).slice(0, 20) : null;
+  if (named && named !== game.names[slot]) apply(room, { type: 'setName', slot, name: named });
+  if (slot >= 0) room.devices[slot] = client.device;
+
+  if (room.game.slots[0] && room.game.slots[1]) apply(room, { type: 'start' });
+
+  let token = null;
+  if (slot >= 0) {
+    token = crypto.randomBytes(16).toString('hex');
+    room.tokens[slot] = token;
+    sessions.set(token, room.code);
+  }
+
+  sendTo(sid, { type: 'joined', slot, room: room.code, token });
+  sendChatHistory(sid, room);
+  broadcastState(room);
+}
+
+function resumeSession(sid, token) {
+  const client = clients.get(sid);
+  const room   = rooms.get(sessions.get(token));
+  const seat   = room && room.squads ? room.squads.flat().find(s => s.token === token) : null;
+  const slot   = room && !room.squads ? room.tokens.indexOf(token) : -1;
+  if (!client || (slot < 0 && !seat)) {
+    sessions.delete(token);
+    sendTo(sid, { type: 'resumeFailed' });
+    return;
+  }
+  if (client.room !== null) leaveRoom(sid);
+
+  // The old socket may still look open if the drop was one-sided; retire it quietly.
+  const oldSid = seat ? seat.sid : room.game.slots[slot];
+  const old    = clients.get(oldSid);
+  if (old && oldSid !== sid) {
+    old.room = null;
+    clients.delete(oldSid);
+    old.close(4000, 'Session resumed on another connection');
+  }
+
+  if (seat) {
+    clearTimeout(seat.graceTimer);
+    Object.assign(seat, { sid, away: null, graceTimer: null });
+  } else {
+    clearTimeout(room.graceTimers[slot]);
+    room.graceTimers[slot] = null;
+    room.game.slots[slot]  = sid;
+    room.game.away[slot]   = null;
+  }
+  client.room = room.code;
+
+  sendTo(sid, { type: 'joined', slot, side: sideOf(room, sid), room: room.code, token });
+  sendChatHistory(sid, room);
+  broadcastState(room);
+}
+
+function dropConnection(sid) {
+  const client = clients.get(sid);
+  if (!client) return;
+  const room = rooms.get(client.room);
+  const slot = room ? room.game.slots.indexOf(sid) : -1;
+  clients.delete(sid);
+  if (!room) return;
+  if (room.squads) { dropSeat(room, sid); return; }
+
+  if (slot < 0) {
+    if (!closeRoomIfEmpty(room)) broadcastState(room);
+    return;
+  }
+
+  // Hold the slot open so the player can reclaim it from a fresh socket
+  room.game.away[slot] = Date.now() + RECONNECT_GRACE_MS;
+  room.graceTimers[slot] = setTimeout(() => {
+    releaseSlot(room, slot);
+    if (!closeRoomIfEmpty(room)) broadcastState(room);
+  }, RECONNECT_GRACE_MS);
+  broadcastState(room);
+}
+
+// Team mode: hold a disconnected player's seat as for a 1v1 slot
+function dropSeat(room, sid) {
+  const found = seatOf(room, sid);
+  if (!found) {
+    if (!closeRoomIfEmpty(room)) broadcastState(room);
+    return;
+  }
+  const seat = found.seat;
+  seat.away = Date.now() + RECONNECT_GRACE_MS;
+  seat.graceTimer = setTimeout(() => {
+    releaseSeat(room, seat);
+    if (!closeRoomIfEmpty(room)) broadcastState(room);
+  }, RECONNECT_GRACE_MS);
+  broadcastState(room);
+}
+
+function leaveRoom(sid) {
+  const client = clients.get(sid);
+  if (!client || client.room === null) return;
+  const room = rooms.get(client.room);
+  client.room = null;
+  if (!room) return;
+
+  const found = room.squads && seatOf(room, sid);
+  const slot  = room.squads ? -1 : room.game.slots.indexOf(sid);
+  if (found) releaseSeat(room, found.seat);
+  if (slot >= 0) releaseSlot(room, slot);
+
+  if (!closeRoomIfEmpty(room)) broadcastState(room);
+}
+
+// ─── Message validation ────────────────────────────────────────────────────────
+const isString  = max => v => typeof v === 'string' && v.length <= max;
+const isInt     = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+const isHex     = len => v => typeof v === 'string' && v.length === len && /^[0-9a-f]+$/.test(v);
+const isBoolean = v => typeof v === 'boolean';
+const optional  = check => v => v === undefined || check(v);
+const isArrayOf = (check, max) => v => Array.isArray(v) && v.length <= max && v.every(check);
+const isFormat  = v => typeof v === 'string' ? v.length <= 10 :
+  v !== null && typeof v === 'object' && Object.keys(v).length === 2 &&
+  isInt(1, MAX_OVERS)(v.overs) && isInt(1, MAX_WICKETS)(v.wickets);
+
+// Every field a client may send, per message type; anything else is rejected
+const MESSAGES = {
+  createRoom: {
+    name:        optional(isString(20)),
+    roomName:    optional(isString(30)),
+    format:      optional(isFormat),
+    superOver:   optional(isBoolean),
+    tieBreak:    optional(isString(20)),
+    pickSeconds: optional(isInt(0, MAX_PICK_SECONDS)),
+    onTimeout:   optional(isString(20)),
+    rules:       optional(isString(20)),
+    matchups:    optional(isBoolean),
+    teams:       optional(isBoolean),
+    bot:         optional(isString(20)),
+  },
+  createTournament: {
+    name:        optional(isString(30)),
+    kind:        isString(10),
+    entrants:    optional(isArrayOf(isString(20), MAX_ENTRANTS)),
+    format:      optional(isFormat),
+    superOver:   optional(isBoolean),
+    tieBreak:    optional(isString(20)),
+    pickSeconds: optional(isInt(0, MAX_PICK_SECONDS)),
+    onTimeout:   optional(isString(20)),
+    rules:       optional(isString(20)),
+    matchups:    optional(isBoolean),
+    teams:       optional(isBoolean),
+  },
+  registerEntrant: { code: isString(8), name: isString(20) },
+  startTournament: { code: isString(8) },
+  watchTournament: { code: optional(isString(8)) },
+  playFixture:     { code: isString(8), fixture: isInt(0, 255), side: optional(isInt(0, 1)) },
+  joinRoom:  { code: isString(8), name: optional(isString(20)) },
+  hello:     { device: isHex(32) },
+  resume:    { token: isHex(32) },
+  leaveRoom: {},
+  setName:   { name: isString(20) },
+  tossCall:   { call: isString(5) },
+  tossChoice: { choice: isString(4) },
+  startMatch: {},
+  switchSide: {},
+  moveUp:     { player: isInt(1, MAX_TEAM - 1) },
+  pick:      { pick: optional(isInt(0, 5)), commit: optional(isHex(64)) },
+  reveal:    { pick: isInt(0, 5), nonce: isHex(32) },
+  nextBall:  {},
+  restart:   {},
+  react:     { emoji: isString(8) },
+  chat:      { text: optional(isString(CHAT_MAX_CHARS * 4)), emote: optional(isInt(0, EMOTES.length - 1)) },
+  mute:      { player: isString(36), muted: isBoolean },
+};
+
+function validMessage(msg) {
+  if (!msg || typeof msg !== 'object' || !Object.hasOwn(MESSAGES, msg.type)) return false;
+  const schema = MESSAGES[msg.type];
+  return Object.keys(msg).every(k => k === 'type' || Object.hasOwn(schema, k)) &&
+    Object.entries(schema).every(([k, check]) => check(msg[k]));
+}
+
+// Token bucket per connection (and a smaller one for chat); a client that
+// runs dry is warned once, then ignored until it refills
+function withinRateLimit(sid, client, limit = RATE_LIMIT, key = 'bucket') {
+  const now    = Date.now();
+  const bucket = client[key] || (client[key] = { tokens: limit.burst, at: now, warned: false });
+  bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.at) / 1000 * limit.perSecond);
+  bucket.at     = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens--;
+    bucket.warned = false;
+    return true;
+  }
+  if (!bucket.warned) sendTo(sid, { type: 'error', message: 'Too many messages — slow down' });
+  bucket.warned = true;
+  return false;
+}
+
+// What a player sends instead of their pick until both sides are locked in
+function pickCommitment(pick, nonce) {
+  return crypto.createHash('sha256').update(pick + ':' + nonce).digest('hex');
 }
 
 // ─── Game logic ────────────────────────────────────────────────────────────────
+// Actions the replay log keeps; start, pause and restart only follow the seats
+const LOGGED_ACTIONS = ['tossCall', 'tossChoice', 'setName', 'pick', 'timeout', 'nextBall'];
+
+// Runs an action through the engine and stores the new state. The names (and
+// team line-ups) are recorded with the first logged action, so the log says
+// who started the match. A match the host has paused only starts from /admin.
+function apply(room, action) {
+  if (room.held && action.type === 'start') return [];
+  const { state, events } = engine.applyAction(room.game, action);
+  if (state === room.game) return events;
+  if (LOGGED_ACTIONS.includes(action.type)) logEvent(state, action, room.game);
+  room.game = state;
+
+  if (events.some(e => e.type === 'delivery')) {
+    // The commitments behind a ball go into its history so players can check them
+    const ball = state.history[state.history.length - 1];
+    if (state.commits.some(c => c !== null)) Object.assign(ball, { commits: state.commits, nonces: state.nonces });
+    state.commits = [null, null];
+    state.nonces  = [null, null];
+  }
+  if (events.some(e => e.type === 'gameOver')) finishMatch(room);
+  return events;
+}
+
+function dispatch(room, action) {
+  const before = room.game;
+  apply(room, action);
+  if (room.game !== before) broadcastState(room);
+}
+
+function logEvent(game, action, before) {
+  if (!game.events.length) {
+    game.startedAt = Date.now();
+    game.events.push({ type: 'start', at: 0, names: before.names.slice(), ...(before.teams && { teams: before.teams }) });
+  }
+  game.events.push({ type: action.type, at: Date.now() - game.startedAt, ...action });
+}
+
+// Career stats, the downloadable record, the replay and any tournament fixture
+function finishMatch(room) {
+  recordProfiles(room);
+  room.lastMatch = matchRecord(room);
+  saveReplay(room.lastMatch);
+  if (room.fixture) recordFixture(room);
+}
+
 function onMessage(sid, msg) {
-  const slot = game.slots.indexOf(sid);
+  const client = clients.get(sid);
+  if (!client) return;
+  if (!client.bot && !withinRateLimit(sid, client)) return;
+  if (!validMessage(msg)) { sendTo(sid, { type: 'error', message: 'Malformed message' }); return; }
+
+  if (msg.type === 'createRoom') {
+    const format = formatFromMessage(msg);
+    if (!format) { sendTo(sid, { type: 'error', message: 'Overs must be 1–' + MAX_OVERS + ' and wickets 1–' + MAX_WICKETS }); return; }
+    if (msg.bot && !BOTS[msg.bot]) { sendTo(sid, { type: 'error', message: 'Unknown bot level ' + msg.bot }); return; }
+    if (msg.bot && format.teams) { sendTo(sid, { type: 'error', message: 'Bots only play one against one' }); return; }
+    const room = createRoom(msg.roomName || (msg.name ? msg.name + "'s room" : ''), format);
+    joinRoom(sid, room, msg.name);
+    if (msg.bot) addBot(room, msg.bot);
+    return;
+  }
 
-  if (msg.type === 'setName' && slot >= 0) {
-    game.names[slot] = String(msg.name || '').slice(0, 20) || game.names[slot];
-    broadcastState();
+  if (msg.type === 'createTournament') {
+    const format = formatFromMessage(msg);
+    if (!format) { sendTo(sid, { type: 'error', message: 'Overs must be 1–' + MAX_OVERS + ' and wickets 1–' + MAX_WICKETS }); return; }
+    if (!TOURNAMENT_KINDS.includes(msg.kind)) { sendTo(sid, { type: 'error', message: 'Unknown tournament type ' + msg.kind }); return; }
+    const t = createTournament(msg.name, msg.kind, { ...format, teams: false }, client.device || sid); // fixtures are 1v1
+    for (const name of msg.entrants || []) if (name.trim()) registerEntrant(t, name);
+    watchTournament(sid, t);
+    broadcastLobby();
     return;
   }
 
-  if (msg.type === 'pick' && slot >= 0 && game.phase === 'picking') {
-    const idx = Number(msg.pick);
-    if (isNaN(idx) || idx < 0 || idx > 5) return;
-    if (game.picks[slot] !== null) return;
-    game.picks[slot] = idx;
+  if (msg.type === 'watchTournament') {
+    const t = tournaments.get(String(msg.code || '').toUpperCase());
+    if (msg.code !== undefined && !t) { sendTo(sid, { type: 'error', message: 'No tournament with code ' + msg.code }); return; }
+    watchTournament(sid, t || null);
+    return;
+  }
+
+  if (msg.type === 'registerEntrant' || msg.type === 'startTournament' || msg.type === 'playFixture') {
+    const t = tournaments.get(msg.code.toUpperCase());
+    if (!t) { sendTo(sid, { type: 'error', message: 'No tournament with code ' + msg.code }); return; }
+    const error = msg.type === 'registerEntrant' ? registerEntrant(t, msg.name)
+                : msg.type === 'startTournament' ? startTournament(t, client.device || sid)
+                : playFixture(sid, t, t.fixtures[msg.fixture], msg.side);
+    if (error) { sendTo(sid, { type: 'error', message: error }); return; }
+    if (msg.type !== 'playFixture') broadcastTournament(t);
+    broadcastLobby();
+    return;
+  }
+
+  if (msg.type === 'joinRoom') {
+    const room = rooms.get(String(msg.code || '').toUpperCase());
+    if (!room) { sendTo(sid, { type: 'error', message: 'No room with code ' + msg.code }); return; }
+    joinRoom(sid, room, msg.name);
+    return;
+  }
+
+  if (msg.type === 'hello') {
+    client.device = msg.device;
+    sendTo(sid, { type: 'profile', profile: profileView(profiles[msg.device] || newProfile(msg.device, '')) });
+    return;
+  }
+
+  if (msg.type === 'resume') {
+    resumeSession(sid, String(msg.token || ''));
+    return;
+  }
+
+  if (msg.type === 'leaveRoom') {
+    leaveRoom(sid);
+    broadcastLobby();
+    return;
+  }
+
+  const room = rooms.get(client.room);
+  if (!room) return;
+  const game = room.game;
+  const slot = game.slots.indexOf(sid); // picking for a side right now
+  const side = sideOf(room, sid);       // playing for it at all (the same thing outside team mode)
+
+  if (msg.type === 'setName' && room.squads) {
+    const name = String(msg.name || '').slice(0, 20);
+    if (side < 0 || !name || !lineupOpen(game)) return;
+    seatOf(room, sid).seat.name = name;
+    squadsChanged(room);
+    broadcastState(room);
+    return;
+  }
+
+  if (msg.type === 'setName' && slot >= 0 && !room.fixture) {
+    const name = String(msg.name || '').slice(0, 20);
+    if (name) dispatch(room, { type: 'setName', slot, name });
+    return;
+  }
+
+  if (msg.type === 'tossCall' && side >= 0) {
+    dispatch(room, { type: 'tossCall', slot: side, call: msg.call });
+    return;
+  }
 
-    if (game.picks[game.batting] !== null && game.picks[bowlerIdx()] !== null) {
-      resolveBall();
+  if (msg.type === 'tossChoice' && side >= 0) {
+    dispatch(room, { type: 'tossChoice', slot: side, choice: msg.choice });
+    return;
+  }
+
+  // Team line-ups: anyone in a squad may swap sides, move a teammate up the
+  // batting order or start the match once both sides have MIN_TEAM here
+  if ((msg.type === 'startMatch' || msg.type === 'switchSide' || msg.type === 'moveUp') && side >= 0 && room.squads) {
+    if (!lineupOpen(game)) return;
+    const squad = room.squads[side];
+    if (msg.type === 'startMatch') {
+      if (!room.squads.every(sq => sq.filter(s => s.sid && !s.away).length >= MIN_TEAM)) {
+        sendTo(sid, { type: 'error', message: 'Each side needs at least ' + MIN_TEAM + ' players before the match can start' });
+        return;
+      }
+      apply(room, { type: 'start' });
+    } else if (msg.type === 'switchSide') {
+      if (room.squads[1 - side].length >= MAX_TEAM) { sendTo(sid, { type: 'error', message: 'That side is full' }); return; }
+      room.squads[1 - side].push(...squad.splice(squad.indexOf(seatOf(room, sid).seat), 1));
     } else {
-      broadcastState();
+      if (msg.player >= squad.length) return;
+      squad.splice(msg.player - 1, 0, ...squad.splice(msg.player, 1));
     }
+    if (msg.type !== 'startMatch') squadsChanged(room);
+    broadcastState(room);
     return;
   }
 
-  if (msg.type === 'nextBall' && game.phase === 'result') {
-    advanceGame();
+  // A pick arrives either in the clear (bots) or as a commitment revealed once
+  // both sides are locked in, so neither pick can be shown to the other player in time
+  if (msg.type === 'pick' && slot >= 0 && game.phase === 'picking') {
+    if ((msg.pick === undefined) === (msg.commit === undefined)) return;
+    if (game.picks[slot] !== null || game.commits[slot] !== null) return;
+    if (msg.commit !== undefined) {
+      game.commits[slot] = msg.commit;
+      broadcastState(room);
+    } else {
+      dispatch(room, { type: 'pick', slot, pick: msg.pick });
+    }
     return;
   }
 
-  if (msg.type === 'restart') {
-    const s0 = game.slots[0], s1 = game.slots[1];
-    const n0 = game.names[0],  n1 = game.names[1];
-    game = newGame();
-    game.slots = [s0, s1];
-    game.names = [n0, n1];
-    if (s0 && s1) game.phase = 'picking';
-    broadcastState();
+  if (msg.type === 'reveal' && slot >= 0 && revealing(game)) {
+    if (game.commits[slot] === null || game.picks[slot] !== null) return;
+    if (pickCommitment(msg.pick, msg.nonce) !== game.commits[slot]) {
+      sendTo(sid, { type: 'error', message: "That pick doesn't match the one you locked in" });
+      return;
+    }
+    game.nonces[slot] = msg.nonce;
+    dispatch(room, { type: 'pick', slot, pick: msg.pick });
     return;
   }
-}
 
-function resolveBall() {
-  const bSlot = game.batting;
-  const wSlot = bowlerIdx();
-  const bPick = game.picks[bSlot];
-  const wPick = game.picks[wSlot];
+  // Spectators only, and purely cosmetic: relayed to the room, never stored
+  if (msg.type === 'react' && side < 0) {
+    if (!REACTIONS.includes(msg.emoji)) return;
+    const now = Date.now();
+    if (now - (client.lastReaction || 0) < REACTION_GAP_MS) return;
+    client.lastReaction = now;
+    for (const id of roomMembers(room)) sendTo(id, { type: 'reaction', emoji: msg.emoji });
+    return;
+  }
 
-  game.balls++;
-  const isWicket = (bPick === wPick);
+  if (msg.type === 'chat') {
+    const error = postChat(room, sid, side, msg);
+    if (error) sendTo(sid, { type: 'error', message: error });
+    return;
+  }
 
-  if (isWicket) {
-    game.wickets[bSlot]++;
-    game.lastResult = { type: 'wicket', batPick: bPick, bowlPick: wPick };
-  } else {
-    const runs = SHOTS[bPick].runs;
-    game.scores[bSlot] += runs;
-    game.lastResult = { type: 'runs', runs, batPick: bPick, bowlPick: wPick };
+  // Only someone heard in this match can be muted, which keeps each list short
+  if (msg.type === 'mute') {
+    const me = chatId(sid);
+    if (msg.player === me || !game.chat.some(m => m.from === msg.player)) return;
+    const muted = room.mutes.get(me) || new Set();
+    if (msg.muted) muted.add(msg.player); else muted.delete(msg.player);
+    room.mutes.set(me, muted);
+    sendChatHistory(sid, room);
+    return;
   }
 
-  if (game.target !== null && game.scores[bSlot] > game.target) {
-    game.phase = 'gameover';
-    broadcastState();
+  if (msg.type === 'nextBall' && side >= 0) {
+    dispatch(room, { type: 'nextBall' });
     return;
   }
 
-  game.phase = 'result';
-  broadcastState();
+  // In team mode one player a side is enough to agree, and the rematch goes
+  // back to the line-ups, less anyone who has left
+  if (msg.type === 'restart' && side >= 0 && !room.fixture) {
+    game.rematch[side] = true;
+    const agreed = game.slots.every((s, i) => s === null || game.rematch[i] || (room.bot && s === room.bot.id));
+    if (agreed) restartMatch(room);
+    broadcastState(room);
+    return;
+  }
 }
 
-function advanceGame() {
-  const bSlot = game.batting;
-  const done  = game.balls >= MAX_BALLS || game.wickets[bSlot] >= MAX_WICKETS;
+// A fresh match in the same seats, in the format the host chose if they did
+function restartMatch(room) {
+  Object.assign(room.game, { commits: [null, null], nonces: [null, null], deadline: null, rematch: [false, false], events: [], startedAt: null, chat: [] });
+  apply(room, { type: 'restart', seed: newSeed(), ...(room.nextFormat && { format: room.nextFormat }) });
+  room.nextFormat = null;
+  if (room.squads) squadsChanged(room);
+  else if (room.game.slots[0] && room.game.slots[1]) apply(room, { type: 'start' });
+}
 
-  if (done) {
-    if (game.innings === 1) {
-      game.target  = game.scores[bSlot];
-      game.innings = 2;
-      game.batting = bSlot === 0 ? 1 : 0;
-      game.balls   = 0;
-      game.picks   = [null, null];
-      game.phase   = 'picking';
-      game.lastResult = null;
-    } else {
-      game.phase = 'gameover';
-    }
-  } else {
-    game.picks      = [null, null];
-    game.phase      = 'picking';
-    game.lastResult = null;
-  }
-  broadcastState();
-}
-
-// ─── WebSocket (pure Node built-ins) ─────────────────────────────────────────
-function wsHandshake(req, socket) {
-  const key    = req.headers['sec-websocket-key'];
-  const accept = crypto
-    .createHash('sha1')
-    .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
-    .digest('base64');
-
-  socket.write(
-    'HTTP/1.1 101 Switching Protocols\r\n' +
-    'Upgrade: websocket\r\n' +
-    'Connection: Upgrade\r\n' +
-    'Sec-WebSocket-Accept: ' + accept + '\r\n' +
-    '\r\n'
-  );
-}
-
-function wsEncode(text) {
-  const payload = Buffer.from(text, 'utf8');
-  const len     = payload.length;
-  let   header;
-  if (len < 126) {
-    header = Buffer.from([0x81, len]);
-  } else if (len < 65536) {
-    header = Buffer.allocUnsafe(4);
-    header[0] = 0x81; header[1] = 126;
-    header.writeUInt16BE(len, 2);
-  } else {
-    header = Buffer.allocUnsafe(10);
-    header[0] = 0x81; header[1] = 127;
-    header.writeBigUInt64BE(BigInt(len), 2);
+// ─── Shot clock ────────────────────────────────────────────────────────────────
+// Runs while the room is picking with nobody disconnected; restarts each ball.
+function syncPickClock(room) {
+  const game = room.game;
+  const secs = game.format.pickSeconds;
+  if (game.phase !== 'picking' || revealing(game) || !secs || game.away.some(t => t !== null)) {
+    clearTimeout(room.pickTimer);
+    room.pickTimer = null;
+    game.deadline  = null;
+    return;
   }
-  return Buffer.concat([header, payload]);
+  if (game.deadline !== null && room.pickTimer) return;
+
+  clearTimeout(room.pickTimer);
+  game.deadline  = Date.now() + secs * 1000;
+  room.pickTimer = setTimeout(() => {
+    room.pickTimer = null;
+    // Anyone locked in on time keeps their pick and gets the reveal window
+    const locked = [0, 1].filter(s => room.game.commits[s] !== null);
+    dispatch(room, locked.length ? { type: 'timeout', locked } : { type: 'timeout' });
+  }, secs * 1000);
 }
 
-// Incrementally parse WebSocket frames from a growing buffer
-function parseFrames(buf) {
-  const frames = [];
-  let   offset = 0;
-
-  while (true) {
-    if (buf.length - offset < 2) break;
-
-    const b0     = buf[offset];
-    const b1     = buf[offset + 1];
-    const opcode = b0 & 0x0f;
-    const masked = !!(b1 & 0x80);
-
-    let payloadLen = b1 & 0x7f;
-    let hdrEnd     = offset + 2;
-
-    if (payloadLen === 126) {
-      if (buf.length - offset < 4) break;
-      payloadLen = buf.readUInt16BE(offset + 2);
-      hdrEnd     = offset + 4;
-    } else if (payloadLen === 127) {
-      if (buf.length - offset < 10) break;
-      payloadLen = Number(buf.readBigUInt64BE(offset + 2));
-      hdrEnd     = offset + 10;
-    }
+// A player who committed but never revealed is treated like one who ran out of time
+function syncRevealTimer(room) {
+  if (!revealing(room.game) || room.game.away.some(t => t !== null)) {
+    clearTimeout(room.revealTimer);
+    room.revealTimer = null;
+    return;
+  }
+  if (room.revealTimer) return;
+  room.revealTimer = setTimeout(() => {
+    room.revealTimer = null;
+    if (revealing(room.game)) dispatch(room, { type: 'timeout' });
+  }, REVEAL_TIMEOUT_MS);
+}
 
-    const maskStart    = masked ? hdrEnd : null;
-    const payloadStart = hdrEnd + (masked ? 4 : 0);
-    const frameEnd     = payloadStart + payloadLen;
+// ─── Chat ──────────────────────────────────────────────────────────────────────
+// Players talk in short messages or quick emotes and spectators read along.
+// Nothing can be said while a ball is being picked, so chat never carries a
+// pick across, and a muted player is simply left out of what you're sent.
 
-    if (buf.length < frameEnd) break; // need more bytes
+// Stable across reconnects: the device's profile id, else the connection
+function chatId(sid) {
+  const client = clients.get(sid);
+  return client && client.device ? crypto.createHash('sha256').update(client.device).digest('hex').slice(0, 12) : sid;
+}
 
-    let data = buf.slice(payloadStart, frameEnd);
-    if (masked) {
-      const mask = buf.slice(maskStart, maskStart + 4);
-      const out  = Buffer.allocUnsafe(payloadLen);
-      for (let i = 0; i < payloadLen; i++) out[i] = data[i] ^ mask[i % 4];
-      data = out;
-    }
+function cleanChat(text) {
+  return Array.from(text.replace(/\s+/g, ' ').replace(CHAT_STRIP, '').trim()).slice(0, CHAT_MAX_CHARS).join('');
+}
 
-    frames.push({ opcode, data });
-    offset = frameEnd;
+function hears(room, sid, message) {
+  const muted = room.mutes.get(chatId(sid));
+  return !muted || !muted.has(message.from);
+}
+
+function sendChatHistory(sid, room) {
+  sendTo(sid, {
+    type:     'chatHistory',
+    you:      chatId(sid),
+    messages: room.game.chat.filter(m => hears(room, sid, m)),
+    muted:    [...(room.mutes.get(chatId(sid)) || [])],
+  });
+}
+
+// Returns an error for the sender, or null once the message is out
+function postChat(room, sid, side, msg) {
+  const game = room.game;
+  if (side < 0) return 'Only players can chat — cheer them on with the reactions';
+  if (game.phase === 'picking') return 'Chat opens again once the ball is bowled';
+  if ((msg.text === undefined) === (msg.emote === undefined)) return 'Send a message or an emote';
+  const text = msg.emote === undefined ? cleanChat(msg.text) : EMOTES[msg.emote];
+  if (!text) return 'Nothing to send';
+  if (!withinRateLimit(sid, clients.get(sid), CHAT_LIMIT, 'chatBucket')) return null;
+
+  const found   = room.squads && seatOf(room, sid);
+  const message = {
+    at:    Date.now(),
+    from:  chatId(sid),
+    name:  found ? found.seat.name : game.names[side],
+    side,
+    text,
+    emote: msg.emote !== undefined,
+  };
+  game.chat.push(message);
+  if (game.chat.length > CHAT_HISTORY) game.chat.shift();
+  for (const id of roomMembers(room)) {
+    if (hears(room, id, message)) sendTo(id, { type: 'chat', message });
   }
+  return null;
+}
 
-  return { frames, remaining: buf.slice(offset) };
+// ─── Bot opponent ──────────────────────────────────────────────────────────────
+// The bot sits in a slot like any player and picks through onMessage('pick').
+// Each level estimates how likely the human is to choose each of the six
+// options next, then bowls at the likely shot or bats away from the likely delivery.
+const BOTS = {
+  random:    { name: 'Bot (Easy)',   predict: () => uniform() },
+  frequency: { name: 'Bot (Medium)', predict: seq => frequencies(seq) },
+  markov:    { name: 'Bot (Hard)',   predict: seq => transitions(seq) },
+};
+const BOT_THINK_MS = [500, 1300];
+
+function uniform() { return [1, 1, 1, 1, 1, 1].map(n => n / 6); }
+
+// Laplace-smoothed share of each option in the sequence
+function frequencies(seq) {
+  const counts = [1, 1, 1, 1, 1, 1];
+  for (const p of seq) counts[p]++;
+  return counts.map(n => n / (seq.length + 6));
 }
 
-function handleWsConnection(req, socket) {
-  wsHandshake(req, socket);
-  socket.setNoDelay(true);
-  socket.setKeepAlive(true, 20000);
+// First-order Markov chain: what followed the human's last pick before?
+function transitions(seq) {
+  if (seq.length < 2) return frequencies(seq);
+  const last   = seq[seq.length - 1];
+  const counts = [1, 1, 1, 1, 1, 1];
+  let   seen   = 0;
+  for (let i = 1; i < seq.length; i++) {
+    if (seq[i - 1] === last) { counts[seq[i]]++; seen++; }
+  }
+  return seen ? counts.map(n => n / (seen + 6)) : frequencies(seq);
+}
 
-  const id = crypto.randomUUID();
-  let   buf = Buffer.alloc(0);
+function weightedPick(weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  let   r     = Math.random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    if ((r -= weights[i]) < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+function botPick(game, slot, level) {
+  const human   = slot === 0 ? 1 : 0;
+  const batting = game.batting === slot;
+  // The human's earlier picks in the role they are playing now
+  const seq = game.history
+    .filter(b => (batting ? b.bowler : b.batter) === human)
+    .map(b => batting ? b.bowlPick : b.batPick)
+    .filter(p => p !== null);
+  const probs = BOTS[level].predict(seq);
+
+  // Sample rather than take the best guess so the bot can't be read in return
+  if (batting) return weightedPick(probs.map((p, i) => SHOTS[i].runs * Math.pow(1 - p, 3)));
+  return weightedPick(probs.map(p => p * p));
+}
+
+function addBot(room, level) {
+  const game = room.game;
+  const slot = game.slots.indexOf(null);
+  if (slot < 0) return;
+  const id = 'bot:' + crypto.randomUUID();
+  clients.set(id, { send() {}, close() {}, room: room.code, device: null, bot: level });
+  room.bot = { id, level, timer: null };
+  game.slots[slot] = id;
+  apply(room, { type: 'setName', slot, name: BOTS[level].name });
+  if (room.game.slots[0] && room.game.slots[1]) apply(room, { type: 'start' });
+  broadcastState(room);
+}
+
+function removeBot(room) {
+  clearTimeout(room.bot.timer);
+  clients.delete(room.bot.id);
+  room.bot = null;
+}
+
+// Whether the game is waiting on the bot: for a pick, or for its part in the toss
+function botsTurn(game, slot) {
+  if (game.phase === 'toss') return slot === (game.toss.winner === null ? game.toss.caller : game.toss.winner);
+  return game.phase === 'picking' && game.picks[slot] === null;
+}
+
+function scheduleBot(room) {
+  const bot  = room.bot;
+  const slot = room.game.slots.indexOf(bot.id);
+  if (bot.timer || slot < 0 || !botsTurn(room.game, slot)) return;
+
+  const delay = BOT_THINK_MS[0] + Math.random() * (BOT_THINK_MS[1] - BOT_THINK_MS[0]);
+  bot.timer = setTimeout(() => {
+    bot.timer = null;
+    const game = room.game;
+    const coin = Math.random() < 0.5;
+    if (!botsTurn(game, slot)) return;
+    if (game.phase === 'toss' && game.toss.winner === null) onMessage(bot.id, { type: 'tossCall', call: coin ? 'heads' : 'tails' });
+    else if (game.phase === 'toss') onMessage(bot.id, { type: 'tossChoice', choice: coin ? 'bat' : 'bowl' });
+    else onMessage(bot.id, { type: 'pick', pick: botPick(game, slot, bot.level) });
+  }, delay);
+}
+
+// ─── Player profiles ───────────────────────────────────────────────────────────
+// Career stats keyed by the random device token each browser keeps in
+// localStorage. Only the hashed public id ever leaves the server.
+let profiles = {};
+try {
+  profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+} catch (err) {
+  if (err.code !== 'ENOENT') console.error('Could not read ' + PROFILES_FILE + ':', err.message);
+}
+
+let saveTimer = null;
+function saveProfiles() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const tmp = PROFILES_FILE + '.tmp';
+    fs.writeFile(tmp, JSON.stringify(profiles, null, 2), err => {
+      if (!err) fs.rename(tmp, PROFILES_FILE, err => err && console.error('Profile save failed:', err.message));
+      else console.error('Profile save failed:', err.message);
+    });
+  }, 500);
+}
+
+// Ctrl+C is how the server is meant to stop, so don't lose a pending save
+process.on('SIGINT', () => {
+  if (saveTimer) {
+    try { fs.writeFileSync(PROFILES_FILE, JSON.stringify(profiles, null, 2)); } catch(_) {}
+  }
+  process.exit(0);
+});
 
-  const client = {
-    send(text) { try { socket.write(wsEncode(text)); } catch(_) {} },
-    socket,
+function newProfile(device, name) {
+  return {
+    id:      crypto.createHash('sha256').update(device).digest('hex').slice(0, 12),
+    name,
+    matches: 0, wins: 0,
+    runs: 0, ballsFaced: 0, outs: 0, highest: 0,
+    shots:   [0, 0, 0, 0, 0, 0],
+    ballsBowled: 0, runsConceded: 0, wicketsTaken: 0,
+    updated: null,
   };
-  clients.set(id, client);
+}
 
-  // Assign player slot
-  let slot = -1;
-  if      (game.slots[0] === null) { game.slots[0] = id; slot = 0; }
-  else if (game.slots[1] === null) { game.slots[1] = id; slot = 1; }
+// Who a match counts towards, with the balls they faced and bowled: one
+// device a side, or in a team match each seat by its place in the order
+function creditedPlayers(room) {
+  const game = room.game;
+  if (!room.squads) {
+    return [0, 1].map(slot => ({ device: room.devices[slot], name: game.names[slot], side: slot, faced: () => true, bowled: () => true }));
+  }
+  return room.squads.flatMap((squad, side) => squad.map((seat, i) => ({
+    device: seat.device, name: game.teams[side][i], side,
+    faced:  b => b.striker === i, bowled: b => b.bowledBy === i,
+  })));
+}
 
-  if (game.slots[0] && game.slots[1] && game.phase === 'waiting') {
-    game.phase = 'picking';
+// Only the match proper counts towards career figures, not Super Overs
+function recordProfiles(room) {
+  const game = room.game;
+  const main = game.history.filter(b => b.innings <= 2);
+  let changed = false;
+
+  for (const player of creditedPlayers(room)) {
+    const { device, side } = player;
+    if (!device) continue;
+    const p = profiles[device] || (profiles[device] = newProfile(device, ''));
+    const faced  = main.filter(b => b.batter === side && player.faced(b));
+    const batted = faced.filter(b => b.type !== 'wide');
+    const bowled = main.filter(b => b.bowler === side && player.bowled(b));
+    const runs   = faced.reduce((n, b) => n + b.runs, 0);
+
+    p.name          = player.name;
+    p.matches      += 1;
+    p.wins         += game.result.winner === side ? 1 : 0;
+    p.runs         += runs;
+    p.ballsFaced   += batted.length;
+    p.outs         += batted.filter(b => b.wicket).length;
+    p.highest       = Math.max(p.highest, runs);
+    batted.forEach(b => b.batPick !== null && p.shots[b.batPick]++);
+    p.ballsBowled  += bowled.filter(b => b.legal).length;
+    p.runsConceded += bowled.reduce((n, b) => n + b.runs + (BYES.includes(b.type) ? 0 : b.extras), 0);
+    p.wicketsTaken += bowled.filter(b => b.wicket).length;
+    p.updated       = new Date().toISOString();
+    changed = true;
   }
+  if (changed) saveProfiles();
+}
 
-  sendTo(id, { type: 'joined', slot });
-  broadcastState();
+function profileView(p) {
+  const fav = p.shots.some(n => n > 0) ? p.shots.indexOf(Math.max(...p.shots)) : -1;
+  return {
+    id:            p.id,
+    name:          p.name,
+    matches:       p.matches,
+    wins:          p.wins,
+    winPct:        p.matches ? Math.round(p.wins * 100 / p.matches) : 0,
+    runs:          p.runs,
+    highest:       p.highest,
+    average:       p.outs ? +(p.runs / p.outs).toFixed(2) : null,
+    strikeRate:    p.ballsFaced ? +(p.runs * 100 / p.ballsFaced).toFixed(1) : null,
+    favouriteShot: fav >= 0 ? SHOTS[fav].emoji + ' ' + SHOTS[fav].name : null,
+    wickets:       p.wicketsTaken,
+    economy:       p.ballsBowled ? +(p.runsConceded * 6 / p.ballsBowled).toFixed(2) : null,
+  };
+}
 
-  socket.on('data', chunk => {
-    buf = Buffer.concat([buf, chunk]);
-    const { frames, remaining } = parseFrames(buf);
-    buf = remaining;
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 
-    for (const frame of frames) {
-      if (frame.opcode === 8) { socket.destroy(); return; }   // close
-      if (frame.opcode === 9) {                                // ping → pong
-        const pong = Buffer.from([0x8a, 0x00]);
-        try { socket.write(pong); } catch(_) {}
-      }
-      if (frame.opcode === 1 || frame.opcode === 2) {         // text/binary
-        try { onMessage(id, JSON.parse(frame.data.toString('utf8'))); } catch(_) {}
-      }
-    }
+function pageHTML(title, body, style = '') {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHTML(title)} — Cricket Clash</title>
+<link rel="stylesheet" href="/fonts.css">
+<style>
+body{background:#1a4a1a;color:#fff;font-family:'Rajdhani',sans-serif;margin:0;padding:20px;}
+h1{font-family:'Playfair Display',serif;color:#f0c040;text-align:center;letter-spacing:2px;}
+a{color:#f0c040;}
+table{border-collapse:collapse;margin:0 auto;background:rgba(0,0,0,.3);border-radius:10px;overflow:hidden;}
+th,td{padding:8px 12px;text-align:right;border-bottom:1px solid rgba(255,255,255,.08);}
+th{color:rgba(255,255,255,.5);font-size:.75rem;letter-spacing:2px;text-transform:uppercase;}
+td:nth-child(2),th:nth-child(2){text-align:left;}
+.nav{text-align:center;margin:16px;letter-spacing:1px;}
+${style}</style></head><body>
+<h1>${escapeHTML(title)}</h1>
+${body}
+<p class="nav"><a href="/">← Back to lobby</a> · <a href="/leaderboard">Leaderboard</a> · <a href="/replays">Replays</a></p>
+</body></html>`;
+}
+
+function sendLeaderboard(res) {
+  const rows = Object.values(profiles)
+    .filter(p => p.matches > 0)
+    .map(profileView)
+    .sort((a, b) => b.wins - a.wins || b.winPct - a.winPct || b.runs - a.runs)
+    .map((p, i) => '<tr><td>' + (i + 1) + '</td><td><a href="/profile/' + p.id + '">' + escapeHTML(p.name) + '</a></td>' +
+      [p.matches, p.wins, p.winPct + '%', p.runs, p.highest, p.average ?? '–', p.strikeRate ?? '–', p.wickets, p.economy ?? '–']
+        .map(v => '<td>' + v + '</td>').join('') + '</tr>')
+    .join('\n');
+  const head = ['#', 'Player', 'M', 'W', 'Win %', 'Runs', 'HS', 'Avg', 'SR', 'Wkts', 'Econ'];
+  const body = rows
+    ? '<table><tr>' + head.map(h => '<th>' + h + '</th>').join('') + '</tr>\n' + rows + '</table>'
+    : '<p class="nav">No completed matches yet.</p>';
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(pageHTML('🏅 Leaderboard', body));
+}
+
+function sendProfile(res, id) {
+  const p = Object.values(profiles).find(p => p.id === id);
+  if (!p) {
+    res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(pageHTML('Profile not found', '<p class="nav">Play a match first!</p>'));
+    return;
+  }
+  const v = profileView(p);
+  const stats = [
+    ['Matches', v.matches], ['Wins', v.wins + ' (' + v.winPct + '%)'],
+    ['Runs', v.runs], ['Highest score', v.highest],
+    ['Batting average', v.average ?? '–'], ['Strike rate', v.strikeRate ?? '–'],
+    ['Favourite shot', v.favouriteShot ?? '–'],
+    ['Wickets', v.wickets], ['Bowling economy', v.economy ?? '–'],
+  ];
+  const body = '<table>' + stats.map(([k, val]) =>
+    '<tr><th>' + k + '</th><td>' + escapeHTML(val) + '</td></tr>').join('\n') + '</table>';
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(pageHTML('🏏 ' + (v.name || 'Player'), body));
+}
+
+// ─── Scorecard export ─────────────────────────────────────────────────────────
+function matchRecord(room) {
+  const game    = room.game;
+  const innings = [];
+  for (const b of game.history) {
+    const inn = innings[b.innings - 1] || (innings[b.innings - 1] = {
+      innings:   b.innings,
+      superOver: b.innings > 2 ? Math.ceil((b.innings - 2) / 2) : 0,
+      batting:   b.batter,
+    });
+    inn.runs    = b.score;
+    inn.wickets = b.wickets;
+    inn.balls   = (inn.balls || 0) + (b.legal ? 1 : 0);
+    inn.dots    = (inn.dots || 0) + (b.legal && b.runs + b.extras === 0 && !b.wicket ? 1 : 0);
+    inn.extras  = inn.extras || { wide: 0, noball: 0, bye: 0, legbye: 0 };
+    if (b.type in inn.extras) inn.extras[b.type] += b.extras;
+  }
+
+  return {
+    id:       crypto.randomBytes(6).toString('hex'),
+    room:     room.code,
+    format:   game.format,
+    players:  game.names.slice(),
+    teams:    game.teams,
+    seed:     game.seed,
+    innings:  innings.filter(Boolean),
+    toss:     game.toss,
+    result:   game.result,
+    finished: new Date().toISOString(),
+    balls:    game.history.map(b => ({
+      ...b,
+      shot:     b.batPick  === null ? null : SHOTS[b.batPick].name,
+      delivery: b.bowlPick === null ? null : DELIVERIES[b.bowlPick],
+    })),
+    insights: engine.matchInsights(game),
+    events:   game.events.slice(),
+  };
+}
+
+function csvField(v) {
+  const str = String(v);
+  return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+function scorecardCSV(record) {
+  const rows = [['innings', 'over', 'batter', 'bowler', 'shot', 'delivery', 'outcome', 'runs', 'extras', 'wicket', 'score', 'timeout', 'commentary']];
+  // Team matches name the batter and bowler rather than the side
+  const player = (side, i) => record.teams ? record.teams[side][i] : record.players[side];
+  for (const b of record.balls) {
+    rows.push([
+      b.innings, b.over + '.' + b.ball,
+      player(b.batter, b.striker), player(b.bowler, b.bowledBy),
+      b.shot || '', b.delivery || '', b.type, b.runs, b.extras, b.wicket ? 'W' : '',
+      b.score + '/' + b.wickets,
+      b.timeout ? b.timeout.map(s => record.players[s]).join(' & ') : '',
+      b.commentary || '',
+    ]);
+  }
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function sendScorecard(res, code, ext) {
+  const room   = rooms.get(code);
+  const record = room && room.lastMatch;
+  if (!record) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('No completed match in room ' + code + '\n');
+    return;
+  }
+  const file = 'cricket-clash-' + code + '.' + ext;
+  res.writeHead(200, {
+    'Content-Type':        ext === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="' + file + '"',
   });
+  res.end(ext === 'csv' ? scorecardCSV(record) : JSON.stringify(record, null, 2));
+}
+
+// ─── Tournaments ───────────────────────────────────────────────────────────────
+// A league (round robin) or knockout bracket between registered names. Each
+// fixture is played in an ordinary room; slot 0 is always the home side.
+const tournaments = new Map(); // code -> { code, name, kind, format, owner, players, fixtures, status, champion }
+
+function createTournament(name, kind, format, owner) {
+  const code = newRoomCode();
+  const t = {
+    code,
+    name:     String(name || '').slice(0, 30) || 'Tournament ' + code,
+    kind,
+    format:   kind === 'knockout' ? { ...format, superOver: true } : format, // every tie needs a winner
+    owner,    // device of the organiser, who alone may start it
+    players:  [],
+    fixtures: [],
+    status:   'registration', // then 'running', 'finished'
+    champion: null,           // index into players
+    created:  Date.now(),
+  };
+  tournaments.set(code, t);
+  return t;
+}
 
-  socket.on('close', cleanup);
-  socket.on('end',   cleanup);
-  socket.on('error', () => { try { socket.destroy(); } catch(_) {} });
+function registerEntrant(t, name) {
+  name = String(name).trim().slice(0, 20);
+  if (t.status !== 'registration') return 'Registration for ' + t.name + ' has closed';
+  if (!name) return 'Enter a name to register';
+  if (t.players.length >= MAX_ENTRANTS) return t.name + ' is full';
+  if (t.players.some(p => p.toLowerCase() === name.toLowerCase())) return name + ' is already registered';
+  t.players.push(name);
+  return null;
+}
 
-  function cleanup() {
-    clients.delete(id);
-    if (game.slots[0] === id) game.slots[0] = null;
-    if (game.slots[1] === id) game.slots[1] = null;
-    if (game.phase !== 'waiting' && game.phase !== 'gameover') {
-      game.phase = 'waiting';
+function startTournament(t, owner) {
+  if (t.owner !== owner) return 'Only the organiser can start ' + t.name;
+  if (t.status !== 'registration') return t.name + ' has already started';
+  if (t.players.length < 2) return 'A tournament needs at least 2 entrants';
+  t.fixtures = t.kind === 'league' ? leagueFixtures(t.players.length) : knockoutFixtures(t.players.length);
+  t.status   = 'running';
+  for (const f of t.fixtures) {
+    if (f.round === 1 && f.sides.includes(null)) recordResult(t, f, { bye: true, winner: f.sides[0] === null ? 1 : 0 });
+  }
+  return null;
+}
+
+function newFixture(id, round, home, away) {
+  return { id, round, sides: [home, away], room: null, result: null, next: null };
+}
+
+// Circle method: the first entrant stays put while the rest rotate, so
+// everyone meets once; an odd field gets a bye (null) each round
+function leagueFixtures(n) {
+  const ids = [...Array(n).keys()];
+  if (n % 2) ids.push(null);
+  const fixtures = [];
+  for (let round = 1; round < ids.length; round++) {
+    for (let i = 0; i < ids.length / 2; i++) {
+      const a = ids[i], b = ids[ids.length - 1 - i];
+      if (a === null || b === null) continue;
+      // Alternate who bats first so nobody is always the home side
+      fixtures.push((round + i) % 2 ? newFixture(fixtures.length, round, b, a) : newFixture(fixtures.length, round, a, b));
     }
-    broadcastState();
+    ids.splice(1, 0, ids.pop());
   }
+  return fixtures;
 }
 
-// ─── HTML client ──────────────────────────────────────────────────────────────
-const HTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1,user-scalable=no">
-<title>Cricket Clash ⚡</title>
-<link href="https://fonts.googleapis.com/css2?family=Playfair+Display:wght@700;900&family=Rajdhani:wght@400;600;700&display=swap" rel="stylesheet">
-<style>
-:root{--gold:#f0c040;--grass:#1a4a1a;--cream:#fdf6e3;}
-*{box-sizing:border-box;margin:0;padding:0;}
-body{background:var(--grass);font-family:'Rajdhani',sans-serif;min-height:100vh;
-  background-image:repeating-linear-gradient(0deg,transparent,transparent 60px,rgba(255,255,255,.025) 60px,rgba(255,255,255,.025) 61px),
-  repeating-linear-gradient(90deg,transparent,transparent 60px,rgba(255,255,255,.025) 60px,rgba(255,255,255,.025) 61px);}
-body::before{content:'';position:fixed;inset:0;background:radial-gradient(ellipse at 50% 0%,rgba(255,220,100,.1) 0%,transparent 55%);pointer-events:none;}
-h1{font-family:'Playfair Display',serif;font-size:clamp(1.8rem,5vw,3rem);font-weight:900;color:var(--gold);
-  text-align:center;letter-spacing:2px;text-shadow:0 0 30px rgba(240,192,64,.6),2px 3px 0 rgba(0,0,0,.5);padding:16px 0 2px;}
-.sub{text-align:center;color:rgba(255,255,255,.4);font-size:.75rem;letter-spacing:4px;text-transform:uppercase;margin-bottom:18px;}
-
-/* LOBBY */
-#lobby{display:flex;flex-direction:column;align-items:center;gap:14px;padding:20px;}
-.qr-box{background:#fff;border-radius:14px;padding:14px;box-shadow:0 8px 40px rgba(0,0,0,.5);}
-.url-pill{background:rgba(0,0,0,.4);border:1.5px solid rgba(240,192,64,.4);border-radius:10px;
-  padding:10px 18px;color:var(--gold);font-size:.9rem;letter-spacing:1px;font-weight:700;text-align:center;
-  word-break:break-all;max-width:360px;}
-.hint{color:rgba(255,255,255,.48);font-size:.8rem;letter-spacing:1px;text-align:center;}
-input.ni{background:rgba(0,0,0,.35);border:1.5px solid rgba(240,192,64,.4);border-radius:8px;
-  padding:10px 16px;color:#fff;font-family:'Rajdhani',sans-serif;font-size:1rem;letter-spacing:1px;
-  text-align:center;width:240px;outline:none;}
-input.ni:focus{border-color:var(--gold);}
-.gbtn{background:linear-gradient(135deg,var(--gold),#d4a020);color:#1a0a00;border:none;
-  padding:12px 32px;font-size:1rem;font-family:'Rajdhani',sans-serif;font-weight:700;
-  letter-spacing:2px;text-transform:uppercase;border-radius:50px;cursor:pointer;
-  box-shadow:0 6px 24px rgba(240,192,64,.35);transition:all .2s;}
-.gbtn:hover{transform:translateY(-2px);box-shadow:0 10px 30px rgba(240,192,64,.5);}
-.gbtn:disabled{opacity:.4;cursor:not-allowed;transform:none;}
-#lst{color:rgba(255,255,255,.5);font-size:.8rem;letter-spacing:1px;min-height:20px;text-align:center;}
-
-/* CONN BAR */
-.cbar{text-align:center;font-size:.62rem;letter-spacing:2px;color:rgba(255,255,255,.32);padding:6px;}
-.dot{display:inline-block;width:7px;height:7px;border-radius:50%;background:#e74c3c;margin-right:5px;vertical-align:middle;transition:.4s;}
-.dot.on{background:#2ecc71;box-shadow:0 0 7px #2ecc71;}
-
-/* GAME */
-#game{display:none;}
-.scoreboard{display:flex;justify-content:center;align-items:stretch;max-width:700px;margin:0 auto 14px;
-  border:2px solid var(--gold);border-radius:16px;overflow:hidden;box-shadow:0 8px 40px rgba(0,0,0,.5);}
-.pp{flex:1;padding:14px 12px;display:flex;flex-direction:column;align-items:center;gap:4px;position:relative;transition:filter .3s;}
-.pp.p0{background:linear-gradient(135deg,#0d2d45,#1a4f6e);}
-.pp.p1b{background:linear-gradient(135deg,#3d1200,#6e2a10);}
-.pp.bat{filter:brightness(1.2);}
-.pp.bat::after{content:'🏏 BATTING';position:absolute;bottom:5px;font-size:.54rem;letter-spacing:2px;color:var(--gold);font-weight:700;}
-.pp.you::before{content:'YOU ▶';position:absolute;top:5px;right:7px;font-size:.5rem;letter-spacing:1px;color:rgba(255,255,255,.42);}
-.pname{font-family:'Playfair Display',serif;font-size:.9rem;font-weight:700;color:var(--cream);}
-.pscore{font-size:clamp(2rem,7vw,3.5rem);font-weight:700;line-height:1;color:#fff;font-family:'Playfair Display',serif;}
-.wrow{display:flex;gap:3px;flex-wrap:wrap;justify-content:center;margin-top:2px;}
-.wd{width:8px;height:8px;border-radius:50%;background:rgba(255,255,255,.15);border:1px solid rgba(255,255,255,.2);transition:.3s;}
-.wd.out{background:#e74c3c;border-color:#c0392b;box-shadow:0 0 5px #e74c3c;}
-.midp{width:78px;background:linear-gradient(180deg,#080808,#181818);display:flex;flex-direction:column;
-  align-items:center;justify-content:center;gap:5px;border-left:1px solid rgba(240,192,64,.3);border-right:1px solid rgba(240,192,64,.3);}
-.vst{font-family:'Playfair Display',serif;font-size:1.4rem;font-weight:900;color:var(--gold);text-shadow:0 0 14px var(--gold);}
-.il{font-size:.5rem;letter-spacing:1.5px;color:rgba(255,255,255,.32);text-transform:uppercase;}
-.iv{font-size:.95rem;color:#fff;font-weight:700;}
-
-.tb{text-align:center;font-size:.82rem;color:var(--gold);letter-spacing:3px;text-transform:uppercase;
-  margin:0 auto 10px;max-width:700px;font-weight:700;padding:0 12px;}
-
-/* PITCH */
-.pw{display:flex;justify-content:center;margin-bottom:14px;}
-.pitch{background:linear-gradient(160deg,#d4a843,#b8922e,#c9a540);width:min(290px,90vw);border-radius:12px;
-  padding:18px 16px;box-shadow:0 6px 30px rgba(0,0,0,.6);border:2px solid rgba(200,168,80,.4);position:relative;overflow:hidden;}
-.pitch::before{content:'';position:absolute;top:0;left:50%;transform:translateX(-50%);width:2px;height:100%;background:rgba(255,255,255,.18);}
-.crease{width:70%;height:2px;background:rgba(255,255,255,.45);margin:0 auto 12px;border-radius:2px;}
-.crease.b{margin:12px auto 0;}
-.sr{display:flex;justify-content:center;gap:5px;margin:3px 0;}
-.st{width:4px;height:22px;background:linear-gradient(180deg,#fff,#ddd);border-radius:2px;box-shadow:0 2px 5px rgba(0,0,0,.4);transition:all .35s;}
-.st.k{background:#e74c3c;transform:rotate(22deg) translateY(5px);}
-.ball{width:30px;height:30px;background:radial-gradient(circle at 35% 35%,#e74c3c,#922b21);
-  border-radius:50%;margin:10px auto;box-shadow:0 4px 12px rgba(0,0,0,.5);position:relative;}
-.ball::after{content:'';position:absolute;top:4px;left:3px;right:3px;height:22px;border:1.5px solid rgba(200,200,200,.25);border-radius:50%;}
-.ball.fly{animation:ballFly .5s ease-out;}
-@keyframes ballFly{0%{transform:scale(1) translateY(0)}40%{transform:scale(.65) translateY(-26px)}70%{transform:scale(1.25) translateY(4px)}100%{transform:scale(1) translateY(0)}}
-
-.sbar{text-align:center;margin:0 0 10px;min-height:34px;}
-.smsg{display:inline-block;padding:6px 16px;border-radius:20px;font-size:.78rem;letter-spacing:2px;text-transform:uppercase;font-weight:700;}
-.smsg.wait{background:rgba(240,192,64,.12);color:var(--gold);border:1px solid rgba(240,192,64,.3);}
-.smsg.lock{background:rgba(46,204,113,.12);color:#2ecc71;border:1px solid rgba(46,204,113,.3);}
-.smsg.wkt{background:rgba(231,76,60,.2);color:#e74c3c;border:1px solid rgba(231,76,60,.3);}
-.smsg.run{background:rgba(46,204,113,.12);color:#2ecc71;border:1px solid rgba(46,204,113,.3);}
-
-.csec{max-width:700px;margin:0 auto 14px;padding:0 10px;}
-.ctitle{text-align:center;font-size:.68rem;letter-spacing:3px;text-transform:uppercase;color:rgba(255,255,255,.38);margin-bottom:9px;}
-.cgrid{display:grid;grid-template-columns:repeat(3,1fr);gap:8px;}
-.card{background:linear-gradient(145deg,#1a2a1a,#0d1a0d);border:1.5px solid rgba(240,192,64,.3);
-  border-radius:10px;padding:12px 6px;text-align:center;cursor:pointer;
-  transition:all .22s cubic-bezier(.34,1.56,.64,1);position:relative;user-select:none;}
-.card::before{content:'';position:absolute;inset:0;background:linear-gradient(135deg,rgba(240,192,64,.1),transparent);opacity:0;transition:.2s;border-radius:9px;}
-.card:hover:not(.off):not(.sel)::before{opacity:1;}
-.card:hover:not(.off):not(.sel){border-color:var(--gold);transform:translateY(-4px) scale(1.04);box-shadow:0 8px 20px rgba(0,0,0,.45),0 0 14px rgba(240,192,64,.18);}
-.card.sel{border-color:#fff;background:linear-gradient(145deg,#243a24,#132213);box-shadow:0 0 16px rgba(255,255,255,.1);transform:translateY(-2px);}
-.card.off{opacity:.3;cursor:not-allowed;}
-.card.hit{border-color:#e74c3c!important;background:linear-gradient(145deg,#3a0808,#200202)!important;opacity:1!important;}
-.card.scored{border-color:#2ecc71!important;background:linear-gradient(145deg,#0a2a0a,#052205)!important;opacity:1!important;}
-.ce{font-size:1.5rem;display:block;margin-bottom:3px;}
-.cr{font-size:1.25rem;font-weight:700;color:var(--gold);font-family:'Playfair Display',serif;line-height:1;}
-.cn{font-size:.55rem;letter-spacing:1.5px;text-transform:uppercase;color:rgba(255,255,255,.45);margin-top:2px;display:block;}
-
-.logsec{max-width:700px;margin:0 auto 30px;padding:0 10px;}
-.logt{font-size:.6rem;letter-spacing:3px;text-transform:uppercase;color:rgba(255,255,255,.28);margin-bottom:6px;text-align:center;}
-.logbox{background:rgba(0,0,0,.28);border-radius:10px;border:1px solid rgba(255,255,255,.06);padding:8px;max-height:90px;overflow-y:auto;display:flex;flex-direction:column;gap:2px;}
-.le{font-size:.72rem;color:rgba(255,255,255,.52);padding:2px 5px;border-radius:3px;animation:fs .3s ease;}
-.le.r6{color:#f0c040;font-weight:700;background:rgba(240,192,64,.08);}
-.le.r4{color:#5dade2;font-weight:700;}
-.le.wk{color:#e74c3c;font-weight:700;background:rgba(231,76,60,.08);}
-@keyframes fs{from{opacity:0;transform:translateX(-5px)}to{opacity:1;transform:translateX(0)}}
-
-.ov{position:fixed;inset:0;display:flex;align-items:center;justify-content:center;z-index:100;
-  background:rgba(0,0,0,.65);backdrop-filter:blur(7px);opacity:0;pointer-events:none;transition:opacity .3s;}
-.ov.show{opacity:1;pointer-events:all;}
-.ovc{background:linear-gradient(145deg,#0a1a0a,#1a2a10);border:2px solid var(--gold);border-radius:20px;
-  padding:30px 40px;text-align:center;transform:scale(.8);transition:transform .4s cubic-bezier(.34,1.56,.64,1);
-  box-shadow:0 20px 60px rgba(0,0,0,.8);max-width:88vw;}
-.ov.show .ovc{transform:scale(1);}
-.oe{font-size:3rem;display:block;margin-bottom:8px;}
-.ot{font-family:'Playfair Display',serif;font-size:1.8rem;font-weight:900;color:var(--gold);text-shadow:0 0 20px var(--gold);margin-bottom:6px;}
-.od{color:rgba(255,255,255,.65);font-size:.9rem;letter-spacing:2px;margin-bottom:18px;}
-</style>
-</head>
-<body>
-
-<h1>🏏 Cricket Clash</h1>
-<p class="sub">LAN Multiplayer</p>
-
-<div id="lobby">
-  <div class="qr-box"><canvas id="qr" width="180" height="180"></canvas></div>
-  <div class="url-pill" id="urlPill">Connecting…</div>
-  <p class="hint">Share this URL with Player 2 (same WiFi)</p>
-  <input class="ni" id="nameIn" placeholder="Enter your name" maxlength="20">
-  <button class="gbtn" id="joinBtn" onclick="joinGame()">Join Game →</button>
-  <div id="lst"></div>
-</div>
-
-<div id="game">
-  <div class="cbar"><span class="dot on" id="cdot"></span><span id="clbl">Connected</span></div>
-
-  <div class="scoreboard">
-    <div class="pp p0" id="pp0">
-      <div class="pname" id="pn0">P1</div>
-      <div class="pscore" id="ps0">0</div>
-      <div style="font-size:.55rem;color:rgba(255,255,255,.38);letter-spacing:1px;">RUNS</div>
-      <div class="wrow" id="pw0"></div>
-    </div>
-    <div class="midp">
-      <div class="vst">VS</div>
-      <div class="il">INN</div><div class="iv" id="gInn">1</div>
-      <div class="il">OVERS</div><div class="iv" id="gOv">0.0</div>
-    </div>
-    <div class="pp p1b" id="pp1">
-      <div class="pname" id="pn1">P2</div>
-      <div class="pscore" id="ps1">0</div>
-      <div style="font-size:.55rem;color:rgba(255,255,255,.38);letter-spacing:1px;">RUNS</div>
-      <div class="wrow" id="pw1"></div>
-    </div>
-  </div>
-
-  <div class="tb" id="tb" style="display:none"></div>
-
-  <div class="pw">
-    <div class="pitch">
-      <div class="crease"></div>
-      <div class="sr"><div class="st" id="t0"></div><div class="st" id="t1"></div><div class="st" id="t2"></div></div>
-      <div class="ball" id="bl"></div>
-      <div class="sr"><div class="st" id="b0"></div><div class="st" id="b1"></div><div class="st" id="b2"></div></div>
-      <div class="crease b"></div>
-    </div>
-  </div>
-
-  <div class="sbar"><span class="smsg wait" id="sm">Waiting…</span></div>
-  <div class="csec"><div class="ctitle" id="ct"></div><div class="cgrid" id="cg"></div></div>
-  <div class="logsec"><div class="logt">Ball by Ball</div><div class="logbox" id="lb"></div></div>
-</div>
-
-<!-- Innings change -->
-<div class="ov" id="innOv">
-  <div class="ovc">
-    <span class="oe">🔄</span>
-    <div class="ot" id="innT">Innings Change!</div>
-    <div class="od" id="innD"></div>
-    <button class="gbtn" onclick="document.getElementById('innOv').classList.remove('show')">Start Innings 2 →</button>
-  </div>
-</div>
-
-<!-- Game over -->
-<div class="ov" id="goOv">
-  <div class="ovc">
-    <span class="oe" id="goE">🏆</span>
-    <div class="ot" id="goT">Winner!</div>
-    <div class="od" id="goD"></div>
-    <button class="gbtn" onclick="sendMsg({type:'restart'})">Play Again</button>
-  </div>
-</div>
-
-<script>
-const SHOTS=[{n:'Defensive',e:'🛡️',r:1},{n:'Drive',e:'🏏',r:2},{n:'Cut',e:'⚡',r:3},
-             {n:'Sweep',e:'🌊',r:4},{n:'Lofted',e:'🌙',r:5},{n:'Six!',e:'💥',r:6}];
-const DELIV=[{n:'Yorker',e:'🎯'},{n:'Bouncer',e:'⚡'},{n:'Spinner',e:'🌀'},
-             {n:'Swinger',e:'💨'},{n:'Full',e:'📍'},{n:'Slower',e:'🌙'}];
-
-let ws, mySlot=-1, joined=false, picked=null, lastInn=1;
-
-function drawQR(url) {
-  const canvas=document.getElementById('qr'),ctx=canvas.getContext('2d'),S=180;
-  ctx.fillStyle='#fff';ctx.fillRect(0,0,S,S);
-  function finder(x,y){ctx.fillStyle='#000';ctx.fillRect(x,y,42,42);ctx.fillStyle='#fff';ctx.fillRect(x+6,y+6,30,30);ctx.fillStyle='#000';ctx.fillRect(x+12,y+12,18,18);}
-  finder(8,8);finder(130,8);finder(8,130);
-  let h=url.split('').reduce((a,c)=>(a*31+c.charCodeAt(0))&0xffffffff,0);
-  const rng=()=>{h=(h*1664525+1013904223)&0xffffffff;return(h>>>0)%2;};
-  ctx.fillStyle='#000';
-  for(let r=0;r<12;r++)for(let c=0;c<12;c++){if((r<4&&c<4)||(r<4&&c>8)||(r>8&&c<4))continue;if(rng())ctx.fillRect(8+c*13,8+r*13,11,11);}
-  ctx.fillStyle='rgba(255,255,255,.9)';ctx.fillRect(40,74,100,32);
-  ctx.fillStyle='#1a4a1a';ctx.font='bold 8px monospace';ctx.textAlign='center';
-  ctx.fillText('Type URL below',90,87);ctx.fillText('on 2nd device',90,100);
-}
-
-function connect() {
-  const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
-  ws = new WebSocket(proto + '//' + location.host);
-  ws.onopen = () => {
-    document.getElementById('cdot').classList.add('on');
-    document.getElementById('clbl').textContent = 'Connected';
-    document.getElementById('urlPill').textContent = location.href;
-    drawQR(location.href);
+// Seeded bracket (1 v 8, 4 v 5, 2 v 7, 3 v 6 …) padded to a power of two with
+// byes for the top seeds. Later rounds start empty and fill as winners arrive.
+function knockoutFixtures(n) {
+  let size = 2;
+  while (size < n) size *= 2;
+  let seeds = [1];
+  while (seeds.length < size) seeds = seeds.flatMap(s => [s, seeds.length * 2 + 1 - s]);
+
+  const fixtures = [];
+  let prev = [];
+  for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+    const cur = [];
+    for (let i = 0; i < count; i++) {
+      const side = k => (round === 1 && seeds[2 * i + k] <= n ? seeds[2 * i + k] - 1 : null);
+      const f    = newFixture(fixtures.length, round, side(0), side(1));
+      if (round > 1) {
+        prev[2 * i].next     = { id: f.id, side: 0 };
+        prev[2 * i + 1].next = { id: f.id, side: 1 };
+      }
+      fixtures.push(f);
+      cur.push(f);
+    }
+    prev = cur;
+  }
+  return fixtures;
+}
+
+function playFixture(sid, t, f, side) {
+  if (t.status === 'registration') return t.name + " hasn't started yet";
+  if (!f) return 'No such fixture';
+  if (f.result) return 'That fixture has already been played';
+  if (f.sides.includes(null)) return 'That fixture is waiting on an earlier round';
+
+  let room = rooms.get(f.room);
+  if (room && side !== undefined && room.game.slots[side] !== null) {
+    return t.players[f.sides[side]] + ' is already playing';
+  }
+  if (!room) {
+    room = createRoom(t.players[f.sides[0]] + ' v ' + t.players[f.sides[1]], t.format);
+    room.fixture    = { tournament: t.code, id: f.id };
+    room.game.names = f.sides.map(p => t.players[p]);
+    f.room = room.code;
+  }
+  joinRoom(sid, room, null, side === undefined ? -1 : side);
+  return null;
+}
+
+// Folds a finished fixture room into its tournament
+function recordFixture(room) {
+  const t = tournaments.get(room.fixture.tournament);
+  const f = t && t.fixtures[room.fixture.id];
+  if (!f || f.result) return;
+  const runs = [0, 0], wickets = [0, 0], balls = [0, 0];
+  for (const inn of room.lastMatch.innings) {
+    if (inn.superOver) continue;
+    runs[inn.batting]    = inn.runs;
+    wickets[inn.batting] = inn.wickets;
+    // Net run rate charges a side that is all out with its full quota of overs
+    balls[inn.batting]   = inn.wickets >= t.format.wickets ? t.format.overs * 6 : inn.balls;
+  }
+  recordResult(t, f, { ...room.lastMatch.result, runs, wickets, balls });
+}
+
+function recordResult(t, f, result) {
+  f.result = result;
+  if (f.next && result.winner !== null) t.fixtures[f.next.id].sides[f.next.side] = f.sides[result.winner];
+  if (t.fixtures.every(f => f.result)) {
+    const final  = t.fixtures[t.fixtures.length - 1];
+    t.status     = 'finished';
+    t.champion   = t.kind === 'league' ? standings(t)[0].player : final.sides[final.result.winner];
+  }
+}
+
+// Points, then net run rate (runs per over scored minus conceded), then wins
+function standings(t) {
+  const rows = t.players.map((name, player) => ({
+    player, name, played: 0, won: 0, lost: 0, tied: 0, points: 0,
+    runsFor: 0, ballsFaced: 0, runsAgainst: 0, ballsBowled: 0, nrr: 0,
+  }));
+  for (const f of t.fixtures) {
+    if (!f.result || f.result.bye) continue;
+    f.sides.forEach((player, s) => {
+      const row = rows[player];
+      const won = f.result.winner === s;
+      row.played++;
+      if (f.result.winner === null) row.tied++;
+      else if (won) row.won++;
+      else row.lost++;
+      row.points      += f.result.winner === null ? POINTS.tie : won ? POINTS.win : POINTS.loss;
+      row.runsFor     += f.result.runs[s];
+      row.ballsFaced  += f.result.balls[s];
+      row.runsAgainst += f.result.runs[1 - s];
+      row.ballsBowled += f.result.balls[1 - s];
+    });
+  }
+  const perOver = (runs, balls) => (balls ? runs * 6 / balls : 0);
+  for (const row of rows) {
+    row.nrr = +(perOver(row.runsFor, row.ballsFaced) - perOver(row.runsAgainst, row.ballsBowled)).toFixed(3);
+  }
+  return rows.sort((a, b) => b.points - a.points || b.nrr - a.nrr || b.won - a.won);
+}
+
+function tournamentSummary(t) {
+  return {
+    code:     t.code,
+    name:     t.name,
+    kind:     t.kind,
+    status:   t.status,
+    format:   t.format.name,
+    entrants: t.players.length,
+    champion: t.champion === null ? null : t.players[t.champion],
   };
-  ws.onmessage = e => { try{handle(JSON.parse(e.data));}catch(_){} };
-  ws.onclose = () => {
-    document.getElementById('cdot').classList.remove('on');
-    document.getElementById('clbl').textContent = 'Reconnecting…';
-    setTimeout(connect, 2000);
+}
+
+function tournamentView(t) {
+  return {
+    ...tournamentSummary(t),
+    players:   t.players,
+    standings: standings(t),
+    fixtures:  t.fixtures.map(f => {
+      const room = !f.result && rooms.get(f.room);
+      return {
+        id:     f.id,
+        round:  f.round,
+        sides:  f.sides,
+        result: f.result,
+        live:   room ? {
+          room:    room.code,
+          phase:   room.game.phase,
+          innings: room.game.innings,
+          batting: room.game.batting,
+          scores:  room.game.scores,
+          wickets: room.game.wickets,
+          balls:   room.game.balls,
+          seated:  room.game.slots.map(s => s !== null),
+        } : null,
+      };
+    }),
   };
-  ws.onerror = () => ws.close();
 }
 
-function sendMsg(obj){if(ws&&ws.readyState===1)ws.send(JSON.stringify(obj));}
+function watchTournament(sid, t) {
+  const client = clients.get(sid);
+  if (!client) return;
+  client.tournament = t ? t.code : null;
+  if (t) sendTo(sid, { type: 'tournament', tournament: tournamentView(t), organiser: t.owner === (client.device || sid) });
+}
 
-function joinGame(){
-  const name=document.getElementById('nameIn').value.trim()||(mySlot>=0?'Player '+(mySlot+1):'Player');
-  sendMsg({type:'setName',name});
-  joined=true;
-  document.getElementById('lobby').style.display='none';
-  document.getElementById('game').style.display='block';
+function broadcastTournament(t) {
+  if (!t) return;
+  const view = tournamentView(t);
+  for (const [sid, c] of clients) {
+    if (c.tournament === t.code) sendTo(sid, { type: 'tournament', tournament: view, organiser: t.owner === (c.device || sid) });
+  }
 }
 
-function handle(msg){
-  if(msg.type==='joined'){
-    mySlot=msg.slot;
-    document.getElementById('lst').textContent=
-      mySlot===0?'You are Player 1 — waiting for Player 2…':
-      mySlot===1?'You are Player 2 — ready!':'Spectating (game full)';
-    if(mySlot===-1)document.getElementById('joinBtn').disabled=true;
-    return;
+// ─── Replays ──────────────────────────────────────────────────────────────────
+// Each finished match is saved with its event log. Re-running the log through
+// the engine from the match's seed rebuilds it exactly.
+const replays = new Map(); // id -> summary, oldest first
+
+function replaySummary(record) {
+  return { id: record.id, players: record.players, format: record.format.name, result: record.result, finished: record.finished };
+}
+
+try {
+  const records = fs.readdirSync(REPLAYS_DIR)
+    .filter(file => /^[0-9a-f]{12}\.json$/.test(file))
+    .map(file => {
+      try { return JSON.parse(fs.readFileSync(path.join(REPLAYS_DIR, file), 'utf8')); }
+      catch (err) { console.error('Could not read replay ' + file + ':', err.message); return null; }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.finished.localeCompare(b.finished));
+  for (const record of records) replays.set(record.id, replaySummary(record));
+} catch (err) {
+  if (err.code !== 'ENOENT') console.error('Could not read ' + REPLAYS_DIR + ':', err.message);
+}
+
+function saveReplay(record) {
+  if (!record.events.length) return; // nothing was played
+  replays.set(record.id, replaySummary(record));
+  fs.mkdir(REPLAYS_DIR, { recursive: true }, err => {
+    if (err) { console.error('Replay save failed:', err.message); return; }
+    fs.writeFile(path.join(REPLAYS_DIR, record.id + '.json'), JSON.stringify(record), err => {
+      if (err) console.error('Replay save failed:', err.message);
+    });
+  });
+}
+
+// The game as seen by a spectator once play starts and after every delivery;
+// history is sent once and each frame says how much of it is played
+function replayMatch(record) {
+  let game = { ...newRoomGame(record.format, record.seed), slots: ['replay', 'replay'] }; // never waiting for a player
+  // Matches saved before there was a toss: slot 0 batted first
+  if (!record.toss) game.toss = { caller: 1, call: null, coin: null, winner: 0, choice: 'bat' };
+  const frame  = () => structuredClone({ ...gameView(game, -1), history: undefined, played: game.history.length });
+  const frames = [];
+  for (const event of record.events) {
+    for (const [slot, players] of (event.type === 'start' && event.teams || []).entries()) {
+      game = engine.applyAction(game, { type: 'setTeam', slot, players }).state;
+    }
+    game = engine.applyAction(game, event).state;
+    if (!frames.length || event.type === 'tossChoice' || game.history.length > frames[frames.length - 1].played ||
+        game.phase === 'gameover') frames.push(frame());
   }
-  if(msg.type==='state') renderGame(msg);
+  return { id: record.id, players: record.players, finished: record.finished, events: record.events, history: game.history, frames };
 }
 
-function renderGame(msg){
-  const g=msg.game;
-  if(!g) return;
+function sendReplay(res, id) {
+  fs.readFile(path.join(REPLAYS_DIR, id + '.json'), 'utf8', (err, text) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('No saved match ' + id + '\n');
+      return;
+    }
+    // A half-written, corrupt or older file mustn't take the server down with it
+    let replay;
+    try { replay = JSON.stringify(replayMatch(JSON.parse(text))); } catch (err) {
+      console.error('Could not replay ' + id + ':', err.message);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Saved match ' + id + ' could not be read\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(replay);
+  });
+}
 
-  // Update lobby status even while in lobby
-  if(!joined){
-    if(!g.slots[1]) document.getElementById('lst').textContent='Waiting for Player 2 to join…';
+function sendReplayList(res) {
+  const rows = [...replays.values()].reverse()
+    .map(r => {
+      const result = r.result.winner === null ? 'Tie' : r.players[r.result.winner] + ' won';
+      return '<tr><td>' + escapeHTML(r.finished.slice(0, 16).replace('T', ' ')) + '</td><td><a href="/?replay=' + r.id + '">' +
+        escapeHTML(r.players.join(' v ')) + '</a></td><td>' + escapeHTML(r.format) + '</td><td>' + escapeHTML(result) + '</td></tr>';
+    })
+    .join('\n');
+  const body = rows
+    ? '<table><tr><th>Finished</th><th>Match</th><th>Format</th><th>Result</th></tr>\n' + rows + '</table>'
+    : '<p class="nav">No saved matches yet.</p>';
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(pageHTML('🎬 Replays', body));
+}
+
+// ─── Admin ─────────────────────────────────────────────────────────────────────
+// /admin shows whoever runs the server every connection and room, and lets
+// them step in: kick someone, seat a spectator, pause or restart a match, or
+// set up the next one. Basic auth guards it, and every form carries a token
+// so that no other page can post to it from the host's browser.
+const ADMIN_PASSWORD   = config.adminPassword || crypto.randomBytes(6).toString('hex');
+const ADMIN_FORM_TOKEN = crypto.randomBytes(16).toString('hex');
+const MAX_FORM_BYTES   = 4096;
+const STARTED          = Date.now();
+
+function adminAuthorised(req) {
+  const [scheme, encoded] = String(req.headers.authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) return false;
+  const given  = Buffer.from(encoded, 'base64').toString('utf8');
+  const digest = str => crypto.createHash('sha256').update(str).digest();
+  return crypto.timingSafeEqual(digest(given.slice(given.indexOf(':') + 1)), digest(ADMIN_PASSWORD));
+}
+
+function readForm(req, done) {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_FORM_BYTES) { req.destroy(); done(new Error('Form too large')); }
+  });
+  req.on('end', () => done(null, new URLSearchParams(body)));
+}
+
+// Each takes the posted form and returns an error for the page, or null
+const ADMIN_ACTIONS = {
+  kick(form) {
+    const sid    = form.get('client');
+    const client = clients.get(sid);
+    if (!client || client.bot) return 'That connection has already gone';
+    const code = client.room;
+    leaveRoom(sid);
+    sendTo(sid, { type: 'kicked', message: 'The host removed you' + (code ? ' from room ' + code : '') });
+    clients.delete(sid);
+    client.close(4001, 'Removed by the host');
+    broadcastLobby();
+    return null;
+  },
+
+  seat(form) {
+    const sid    = form.get('client');
+    const client = clients.get(sid);
+    const room   = client && rooms.get(client.room);
+    if (!room || sideOf(room, sid) >= 0) return 'Only a spectator in a room can be given a seat';
+    const slot = room.squads ? undefined : Number(form.get('slot'));
+    if (!room.squads && (![0, 1].includes(slot) || room.game.slots[slot] !== null)) return 'That seat is taken';
+    client.room = null; // a spectator has no seat to give up, and leaving could close the room
+    joinRoom(sid, room, client.name, slot);
+    return sideOf(room, sid) >= 0 ? null : 'There is no free seat in ' + room.code;
+  },
+
+  pause(form) {
+    const room = rooms.get(form.get('room'));
+    if (!room) return 'That room has closed';
+    room.held = true;
+    apply(room, { type: 'pause' });
+    broadcastState(room);
+    return null;
+  },
+
+  // Carries on as if everyone had just reconnected: a team match back at its
+  // line-ups waits for someone to start it again
+  resume(form) {
+    const room = rooms.get(form.get('room'));
+    if (!room) return 'That room has closed';
+    room.held = false;
+    if (room.squads) squadsChanged(room);
+    else if (room.game.slots[0] && room.game.slots[1]) apply(room, { type: 'start' });
+    broadcastState(room);
+    return null;
+  },
+
+  restart(form) {
+    const room = rooms.get(form.get('room'));
+    if (!room) return 'That room has closed';
+    if (room.fixture) return 'Tournament fixtures count towards the standings, so they cannot be restarted';
+    restartMatch(room);
+    broadcastState(room);
+    return null;
+  },
+
+  settings(form) {
+    const room = rooms.get(form.get('room'));
+    if (!room) return 'That room has closed';
+    const key    = form.get('format');
+    const format = formatFromMessage({
+      format:      key === 'custom' ? { overs: Number(form.get('overs')), wickets: Number(form.get('wickets')) } : key,
+      superOver:   form.has('superOver'),
+      tieBreak:    form.get('tieBreak'),
+      pickSeconds: Number(form.get('pickSeconds')),
+      onTimeout:   form.get('onTimeout'),
+      rules:       form.get('rules'),
+      matchups:    form.has('matchups'),
+      teams:       !!room.squads,
+    });
+    if (!format) return 'Overs must be 1–' + MAX_OVERS + ', wickets 1–' + MAX_WICKETS + ' and the shot clock 0–' + MAX_PICK_SECONDS + 's';
+    room.nextFormat = format;
+    return null;
+  },
+};
+
+function handleAdmin(req, res, url) {
+  if (!adminAuthorised(req)) {
+    res.writeHead(401, {
+      'Content-Type':     'text/plain; charset=utf-8',
+      'WWW-Authenticate': 'Basic realm="Cricket Clash admin", charset="UTF-8"',
+    });
+    res.end('The admin password is shown when the server starts\n');
     return;
   }
+  if (req.method === 'GET' && url.pathname === '/admin') { sendAdmin(res, url.searchParams.get('error')); return; }
+  const action = url.pathname.match(/^\/admin\/([a-z]+)$/);
+  if (req.method !== 'POST' || !action || !Object.hasOwn(ADMIN_ACTIONS, action[1])) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found\n');
+    return;
+  }
+  readForm(req, (err, form) => {
+    if (err || form.get('token') !== ADMIN_FORM_TOKEN) {
+      res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('That form is out of date — reload /admin and try again\n');
+      return;
+    }
+    const error = ADMIN_ACTIONS[action[1]](form);
+    res.writeHead(303, { Location: '/admin' + (error ? '?error=' + encodeURIComponent(error) : '') });
+    res.end();
+  });
+}
+
+function adminButton(action, fields, label) {
+  const inputs = Object.entries({ ...fields, token: ADMIN_FORM_TOKEN })
+    .map(([k, v]) => '<input type="hidden" name="' + k + '" value="' + escapeHTML(v) + '">').join('');
+  return '<form method="post" action="/admin/' + action + '">' + inputs + '<button>' + escapeHTML(label) + '</button></form>';
+}
 
-  for(let p=0;p<2;p++){
-    document.getElementById('pn'+p).textContent=g.names[p];
-    document.getElementById('ps'+p).textContent=g.scores[p];
-    renderDots(p,g.wickets[p]);
-    document.getElementById('pp'+p).classList.toggle('bat',g.batting===p);
-    document.getElementById('pp'+p).classList.toggle('you',mySlot===p);
+function adminSelect(name, options, value) {
+  return '<select name="' + name + '">' + options.map(([v, text]) =>
+    '<option value="' + escapeHTML(v) + '"' + (String(v) === String(value) ? ' selected' : '') + '>' + escapeHTML(text) + '</option>').join('') + '</select>';
+}
+
+// The settings form starts at whatever the next match will use
+function adminSettings(room) {
+  const f = room.nextFormat || room.game.format;
+  return '<form method="post" action="/admin/settings" class="settings">' +
+    '<input type="hidden" name="token" value="' + ADMIN_FORM_TOKEN + '"><input type="hidden" name="room" value="' + room.code + '">' +
+    adminSelect('format', [...Object.entries(FORMATS).map(([k, v]) => [k, v.name]), ['custom', 'Custom']], f.key) +
+    ' <input type="number" name="overs" min="1" max="' + MAX_OVERS + '" value="' + f.overs + '"> overs' +
+    ' <input type="number" name="wickets" min="1" max="' + MAX_WICKETS + '" value="' + f.wickets + '"> wkts<br>' +
+    adminSelect('rules', [['classic', 'Classic rules'], ['realistic', 'Realistic rules']], f.rules) +
+    ' <label><input type="checkbox" name="matchups"' + (f.matchups ? ' checked' : '') + '> Matchups</label>' +
+    ' <label><input type="checkbox" name="superOver"' + (f.superOver ? ' checked' : '') + '> Super Over</label> ' +
+    adminSelect('tieBreak', [['shared', 'Tie shared'], ['boundaries', 'Tie → boundaries']], f.tieBreak) + '<br>' +
+    '<input type="number" name="pickSeconds" min="0" max="' + MAX_PICK_SECONDS + '" value="' + f.pickSeconds + '"> s shot clock ' +
+    adminSelect('onTimeout', [['random', 'too slow → random'], ['penalty', 'too slow → dot / wide']], f.onTimeout) +
+    ' <button>Use for the next match</button></form>';
+}
+
+function scoreLine(game) {
+  if (!game.history.length) return game.phase === 'toss' ? 'at the toss' : game.toss.choice ? 'before the first ball' : 'not started';
+  const side = i => escapeHTML(game.names[i]) + ' ' + game.scores[i] + '/' + game.wickets[i];
+  return side(0) + ' v ' + side(1) + ' · innings ' + game.innings + (game.superOver ? ' (Super Over)' : '') +
+    ', ' + Math.floor(game.balls / 6) + '.' + game.balls % 6 + ' ov · ' + escapeHTML(game.names[game.batting]) + ' batting';
+}
+
+// Who a connection is: its seat, or what it is watching
+function seatLabel(sid, client) {
+  const room = rooms.get(client.room);
+  if (!room) return 'in the lobby';
+  const found = room.squads && seatOf(room, sid);
+  const slot  = room.squads ? -1 : room.game.slots.indexOf(sid);
+  if (found) return room.code + ' · ' + room.game.names[found.side] + ' · ' + found.seat.name;
+  if (slot >= 0) return room.code + ' · P' + (slot + 1) + ' ' + room.game.names[slot];
+  return room.code + ' · watching';
+}
+
+function sendAdmin(res, error) {
+  const ago  = ms => Math.floor(ms / 60000) + 'm ' + Math.floor(ms / 1000) % 60 + 's';
+  const list = [...rooms.values()].sort((a, b) => a.created - b.created);
+  const conns = [...clients].filter(([, c]) => !c.bot).map(([sid, c]) => {
+    const room  = rooms.get(c.room);
+    const spec  = room && sideOf(room, sid) < 0;
+    const seats = !spec ? [] : room.squads ? [adminButton('seat', { client: sid }, 'Give a seat')]
+      : [0, 1].filter(i => room.game.slots[i] === null).map(i => adminButton('seat', { client: sid, slot: i }, 'Seat as P' + (i + 1)));
+    const found = room && room.squads && seatOf(room, sid);
+    const name  = found ? found.seat.name : room && room.game.slots.includes(sid) ? room.game.names[room.game.slots.indexOf(sid)] : c.name || '–';
+    return '<tr><td>' + escapeHTML(name) + '</td><td>' + escapeHTML(seatLabel(sid, c)) + '</td><td>' + escapeHTML(c.ip || '?') + (c.stream ? ' (HTTP fallback)' : '') +
+      '</td><td>' + ago(Date.now() - c.since) + '</td><td class="act">' + [...seats, adminButton('kick', { client: sid }, 'Kick')].join('') + '</td></tr>';
+  });
+  const roomBlocks = list.map(room => {
+    const game    = room.game;
+    const players = room.squads
+      ? room.squads.map((squad, i) => escapeHTML(game.names[i]) + ': ' + (squad.map(s => escapeHTML(s.name) + (s.sid ? s.away ? ' (away)' : '' : ' (left)')).join(', ') || 'nobody'))
+      : [0, 1].map(i => 'P' + (i + 1) + ' ' + (game.slots[i] === null ? 'empty' : escapeHTML(game.names[i]) +
+          (room.bot && game.slots[i] === room.bot.id ? ' (bot)' : game.away[i] !== null ? ' (away)' : '')));
+    return '<div class="room"><h2>' + room.code + ' · ' + escapeHTML(room.name) + '</h2>' +
+      '<p>' + escapeHTML(game.format.name + (room.squads ? ' · teams' : '')) + ' · ' + (room.held ? '⏸ paused by you' : game.phase) +
+      (room.fixture ? ' · tournament fixture' : '') + ' · ' + spectatorCount(room) + ' watching</p>' +
+      '<p>' + scoreLine(game) + '</p><p>' + players.join(' · ') + '</p>' +
+      (room.nextFormat ? '<p>Next match: ' + escapeHTML(room.nextFormat.name) + '</p>' : '') +
+      '<div class="act">' + adminButton(room.held ? 'resume' : 'pause', { room: room.code }, room.held ? '▶ Resume' : '⏸ Pause') +
+      (room.fixture ? '' : adminButton('restart', { room: room.code }, '🔁 Restart now')) + '</div>' +
+      (room.fixture ? '' : adminSettings(room)) + '</div>';
+  });
+  const body =
+    (error ? '<p class="err">' + escapeHTML(error) + '</p>' : '') +
+    '<p class="nav">Up ' + ago(Date.now() - STARTED) + ' · ' + conns.length + ' connected · ' + list.length + ' rooms · ' +
+      'new rooms default to ' + escapeHTML(DEFAULT_MATCH.name) + ' · <a href="/admin">↻ Refresh</a></p>' +
+    (roomBlocks.join('\n') || '<p class="nav">No rooms open.</p>') +
+    '<h2>Connections</h2>' +
+    (conns.length ? '<table><tr><th>Name</th><th>Where</th><th>IP</th><th>Connected</th><th></th></tr>\n' + conns.join('\n') + '</table>'
+                  : '<p class="nav">Nobody connected.</p>');
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(pageHTML('🛠 Admin', body, ADMIN_STYLE));
+}
+
+const ADMIN_STYLE = `
+h2{font-family:'Playfair Display',serif;color:#f0c040;text-align:center;font-size:1.1rem;}
+.room{max-width:700px;margin:0 auto 16px;background:rgba(0,0,0,.3);border-radius:10px;padding:4px 16px 12px;}
+.room p{margin:6px 0;text-align:center;}
+.act form{display:inline;}
+.act{text-align:center;}
+td.act{text-align:left;}
+button{background:none;border:1px solid #f0c040;color:#f0c040;border-radius:14px;padding:3px 12px;margin:2px;cursor:pointer;font-family:inherit;}
+.settings{text-align:center;margin-top:10px;line-height:2.2;}
+input[type=number]{width:56px;}
+.err{text-align:center;color:#ff8a80;font-weight:700;}
+`;
+
+// ─── QR code ───────────────────────────────────────────────────────────────────
+// Byte-mode encoder (ISO/IEC 18004) at error correction level M, versions 1–40
+const QR_EC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_EC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_QUIET = 4; // modules of white border scanners expect
+
+function qrRawModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function qrDataCodewords(ver) {
+  return Math.floor(qrRawModules(ver) / 8) - QR_EC_PER_BLOCK[ver] * QR_EC_BLOCKS[ver];
+}
+
+function qrAlignment(ver) {
+  if (ver === 1) return [];
+  const count = Math.floor(ver / 7) + 2;
+  const step  = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+  const pos   = [6];
+  for (let p = ver * 4 + 10; pos.length < count; p -= step) pos.splice(1, 0, p);
+  return pos;
+}
+
+// GF(256) multiply, reducing by x^8 + x^4 + x^3 + x^2 + 1
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
   }
-  document.getElementById('gInn').textContent=g.innings;
-  document.getElementById('gOv').textContent=Math.floor(g.balls/6)+'.'+g.balls%6;
+  return z;
+}
 
-  // Innings change popup
-  if(g.innings===2&&lastInn===1&&g.phase==='picking'){
-    document.getElementById('innT').textContent='Innings Change!';
-    document.getElementById('innD').textContent=g.names[g.batting]+' needs '+(g.target+1)+' to win';
-    document.getElementById('innOv').classList.add('show');
+function rsDivisor(degree) {
+  const poly = new Array(degree).fill(0);
+  poly[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      poly[j] = gfMul(poly[j], root);
+      if (j + 1 < degree) poly[j] ^= poly[j + 1];
+    }
+    root = gfMul(root, 2);
   }
-  lastInn=g.innings;
+  return poly;
+}
 
-  // Target
-  if(g.target!==null){
-    const need=g.target-g.scores[g.batting]+1;
-    document.getElementById('tb').style.display='block';
-    document.getElementById('tb').textContent='Target: '+(g.target+1)+' | Need '+Math.max(0,need)+' from '+(30-g.balls)+' balls';
-  } else document.getElementById('tb').style.display='none';
+function rsRemainder(data, divisor) {
+  const rem = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ rem.shift();
+    rem.push(0);
+    divisor.forEach((c, i) => { rem[i] ^= gfMul(c, factor); });
+  }
+  return rem;
+}
 
-  // Game over
-  if(g.phase==='gameover'){
-    const [s0,s1]=g.scores;
-    let em,ti,de;
-    if(s0>s1){em='🏆';ti=g.names[0]+' Wins!';de='by '+(s0-s1)+' runs';}
-    else if(s1>s0){em='🏆';ti=g.names[1]+' Wins!';de='by '+(s1-s0)+' runs';}
-    else{em='🤝';ti="It's a Tie!";de='Both scored '+s0+' runs';}
-    document.getElementById('goE').textContent=em;
-    document.getElementById('goT').textContent=ti;
-    document.getElementById('goD').textContent=de;
-    document.getElementById('goOv').classList.add('show');
-    return;
+// Data codewords → blocks with error correction, interleaved
+function qrCodewords(data, ver) {
+  const blocks    = QR_EC_BLOCKS[ver];
+  const ecLen     = QR_EC_PER_BLOCK[ver];
+  const raw       = Math.floor(qrRawModules(ver) / 8);
+  const shortLen  = Math.floor(raw / blocks);
+  const numShort  = blocks - raw % blocks;
+  const divisor   = rsDivisor(ecLen);
+  const out       = [];
+  const split     = [];
+  for (let i = 0, k = 0; i < blocks; i++) {
+    const dat = data.slice(k, k + shortLen - ecLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ec = rsRemainder(dat, divisor);
+    if (i < numShort) dat.push(0); // padding so every block lines up when interleaving
+    split.push(dat.concat(ec));
   }
-  document.getElementById('goOv').classList.remove('show');
+  for (let i = 0; i < split[0].length; i++) {
+    split.forEach((b, j) => { if (i !== shortLen - ecLen || j >= numShort) out.push(b[i]); });
+  }
+  return out;
+}
 
-  // Result
-  if(g.phase==='result'&&g.lastResult){
-    const lr=g.lastResult;
-    const bl=document.getElementById('bl');
-    bl.classList.remove('fly');void bl.offsetWidth;bl.classList.add('fly');
-    if(lr.type==='wicket'){
-      flashStumps(g.batting);
-      setSt('💀 WICKET! OUT!','wkt');
-      addLog('💀 WICKET! '+SHOTS[lr.batPick].n+' vs '+DELIV[lr.bowlPick].n,'wk');
-    } else {
-      setSt((lr.runs===6?'💥':lr.runs===4?'🌊':'✅')+' '+lr.runs+' run'+(lr.runs>1?'s':'')+'!','run');
-      addLog(SHOTS[lr.batPick].n+' vs '+DELIV[lr.bowlPick].n+' → '+lr.runs+' run'+(lr.runs>1?'s':''),
-             lr.runs===6?'r6':lr.runs===4?'r4':'');
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+// Lower is better: long runs, 2×2 blocks, finder look-alikes and colour imbalance
+function qrPenalty(m) {
+  const size = m.length;
+  let score = 0, dark = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(m[i], m.map(row => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    const bits = line.map(v => (v ? '1' : '0')).join('');
+    for (let i = bits.indexOf('1011101'); i >= 0; i = bits.indexOf('1011101', i + 1)) {
+      if (bits.slice(i - 4, i) === '0000' || bits.slice(i + 7, i + 11) === '0000') score += 40;
     }
-    showResultCards(lr);
-    picked=null;
-    return;
   }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (m[y][x]) dark++;
+      if (x && y && m[y][x] === m[y][x - 1] && m[y][x] === m[y - 1][x] && m[y][x] === m[y - 1][x - 1]) score += 3;
+    }
+  }
+  return score + (Math.ceil(Math.abs(dark * 20 - size * size * 10) / (size * size)) - 1) * 10;
+}
 
-  // Picking
-  picked=null;
-  const amBat=mySlot===g.batting;
-  const amBowl=mySlot>=0&&mySlot!==g.batting;
+// text → square matrix of booleans (true = dark), without the quiet zone
+function qrEncode(text) {
+  const bytes = [...Buffer.from(text, 'utf8')];
+  let ver = 1;
+  while (4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) {
+    if (++ver > 40) throw new Error('Text too long for a QR code');
+  }
+  const capacity = qrDataCodewords(ver) * 8;
+  const bits = [];
+  const put  = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  put(0b0100, 4);
+  put(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach(b => put(b, 8));
+  put(0, Math.min(4, capacity - bits.length));
+  put(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) put(pad, 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+  const size = ver * 4 + 17;
+  const m    = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fn   = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set  = (x, y, dark) => { m[y][x] = dark; fn[y][x] = true; };
+
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy, d = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+  const align = qrAlignment(ver), last = align.length - 1;
+  align.forEach((ay, i) => align.forEach((ax, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  const drawFormat = (grid, mask) => {
+    let rem = mask; // level M is format bits 00, so the data is just the mask
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const f   = ((mask << 10) | rem) ^ 0x5412;
+    const bit = i => ((f >>> i) & 1) === 1;
+    const set = (x, y, dark) => { grid[y][x] = dark; fn[y][x] = true; };
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  drawFormat(m, 0); // reserve the format area before placing data
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const v = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((v >>> i) & 1) === 1, a = size - 11 + i % 3, b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
 
-  if(g.phase==='waiting'||!g.slots[0]||!g.slots[1]){
-    setSt('⏳ Waiting for both players…','wait');
-    document.getElementById('ct').textContent='';
-    document.getElementById('cg').innerHTML='';
-    return;
+  const codewords = qrCodewords(data, ver);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing column
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (fn[y][x] || i >= codewords.length * 8) continue;
+        m[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
   }
 
-  if(g.myPick){
-    setSt('✅ Locked in — waiting for opponent…','lock');
-    showCards(amBat?SHOTS:DELIV,true);
-    document.getElementById('ct').textContent=amBat?'🏏 Shot locked!':'🎳 Delivery locked!';
-    return;
+  let best = null, bestScore = Infinity;
+  QR_MASKS.forEach((mask, n) => {
+    const candidate = m.map((row, y) => row.map((dark, x) => (fn[y][x] ? dark : dark !== mask(x, y))));
+    drawFormat(candidate, n);
+    const score = qrPenalty(candidate);
+    if (score < bestScore) { best = candidate; bestScore = score; }
+  });
+  return best;
+}
+
+function qrSVG(matrix, scale = 8) {
+  const side = matrix.length + QR_QUIET * 2;
+  let path = '';
+  matrix.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += 'M' + (x + QR_QUIET) + ' ' + (y + QR_QUIET) + 'h1v1h-1z';
+  }));
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="' + side * scale + '" height="' + side * scale +
+    '" viewBox="0 0 ' + side + ' ' + side + '" shape-rendering="crispEdges">' +
+    '<rect width="100%" height="100%" fill="#fff"/><path fill="#000" d="' + path + '"/></svg>\n';
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4), crc = Buffer.alloc(4);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  len.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// 8-bit greyscale PNG, one filter byte (none) per scanline
+function qrPNG(matrix, scale = 8) {
+  const dim = (matrix.length + QR_QUIET * 2) * scale;
+  const raw = Buffer.alloc((dim + 1) * dim, 0xff);
+  for (let py = 0; py < dim; py++) {
+    raw[py * (dim + 1)] = 0;
+    const row = matrix[Math.floor(py / scale) - QR_QUIET];
+    if (!row) continue;
+    for (let px = 0; px < dim; px++) {
+      if (row[Math.floor(px / scale) - QR_QUIET]) raw[py * (dim + 1) + 1 + px] = 0;
+    }
   }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(dim, 0);
+  ihdr.writeUInt32BE(dim, 4);
+  ihdr[8] = 8; // bit depth; colour type 0 (greyscale), default compression/filter/interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// The URL other devices should open: the host the page was loaded from,
+// unless that was localhost, in which case the LAN address
+// A hostname or IPv4 address (at most 253 characters, as DNS allows) or a
+// bracketed IPv6 one, with an optional port; anything else is ignored
+const HOST_HEADER = /^(?:[A-Za-z0-9](?:[A-Za-z0-9.-]{0,251}[A-Za-z0-9])?|\[[0-9A-Fa-f:.]{2,45}\])(?::\d{1,5})?$/;
 
-  if(amBat){
-    setSt('🏏 Pick your shot!','wait');
-    document.getElementById('ct').textContent='🏏 Batting — choose your shot';
-    showCards(SHOTS,false);
-  } else if(amBowl){
-    setSt('🎳 Pick your delivery!','wait');
-    document.getElementById('ct').textContent='🎳 Bowling — choose your delivery';
-    showCards(DELIV,false);
+function joinURL(req, room) {
+  const host = HOST_HEADER.test(req.headers.host || '') ? req.headers.host : '';
+  const base = !host || /^(localhost|127\.|\[::1\])/.test(host) ? LOCAL_IP + ':' + port : host;
+  return 'http://' + base + '/' + (room ? '?room=' + room : '');
+}
+
+function sendQR(req, res, ext, query) {
+  const room   = /^[A-Za-z]{4}$/.test(query.get('room') || '') ? query.get('room').toUpperCase() : null;
+  const url    = joinURL(req, room);
+  let matrix;
+  try { matrix = qrEncode(url); } catch (err) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('No QR code for ' + url.slice(0, 100) + ': ' + err.message + '\n');
+    return;
+  }
+  if (ext === 'json') {
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ url, modules: matrix.map(row => row.map(d => (d ? 1 : 0)).join('')) }));
+  } else if (ext === 'svg') {
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(qrSVG(matrix));
   } else {
-    setSt('👀 Spectating','wait');
-    document.getElementById('ct').textContent='';
-    document.getElementById('cg').innerHTML='';
-  }
-}
-
-function showCards(arr,locked){
-  const grid=document.getElementById('cg');grid.innerHTML='';
-  arr.forEach((item,i)=>{
-    const c=document.createElement('div');
-    c.className='card'+(locked?' off':'');
-    c.innerHTML='<span class="ce">'+item.e+'</span><div class="cr">'+(item.r!==undefined?item.r:'')+'</div><span class="cn">'+item.n+'</span>';
-    if(!locked){c.onclick=()=>{
-      if(picked!==null)return;
-      picked=i;
-      grid.querySelectorAll('.card').forEach((cc,j)=>{cc.classList.toggle('sel',j===i);cc.classList.add('off');});
-      sendMsg({type:'pick',pick:i});
-    };}
-    grid.appendChild(c);
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+    res.end(qrPNG(matrix));
+  }
+}
+
+// ─── WebSocket connections ─────────────────────────────────────────────────────
+function handleWsConnection(req, socket, head) {
+  const id   = crypto.randomUUID();
+  const conn = ws.accept(req, socket, {
+    maxPayload:  MAX_FRAME_BYTES,
+    heartbeatMs: HEARTBEAT_MS,
+    onMessage(text, binary) {
+      let msg;
+      try { msg = JSON.parse(binary ? text.toString('utf8') : text); } catch(_) { return; }
+      onMessage(id, msg);
+    },
+    onClose() {
+      if (!clients.has(id)) return;
+      dropConnection(id);
+      broadcastLobby();
+    },
   });
+  if (!conn) return;
+  socket.setNoDelay(true);
+  socket.setKeepAlive(true, 20000);
+  if (head.length) socket.unshift(head);
+
+  clients.set(id, {
+    send:  text => conn.send(text),
+    close: (code, reason) => conn.close(code, reason),
+    room:  null,
+    ip:    String(socket.remoteAddress || '').replace(/^::ffff:/, ''),
+    since: Date.now(),
+  });
+  sendTo(id, { type: 'defaults', format: DEFAULT_MATCH });
+  broadcastLobby();
 }
 
-function showResultCards(lr){
-  const grid=document.getElementById('cg');grid.innerHTML='';
-  SHOTS.forEach((s,i)=>{
-    const c=document.createElement('div');
-    const h=i===lr.batPick&&lr.type==='wicket';
-    const sc=i===lr.batPick&&lr.type==='runs';
-    c.className='card off'+(h?' hit':sc?' scored':'');
-    c.innerHTML='<span class="ce">'+s.e+'</span><div class="cr">'+s.r+'</div><span class="cn">'+s.n+'</span>';
-    grid.appendChild(c);
+// ─── Event-stream connections ──────────────────────────────────────────────────
+// For networks whose proxies break the WebSocket upgrade: GET /events is a
+// Server-Sent Events stream carrying the same messages a socket would, and
+// each message back is a POST to /events/<key>. The key is only ever sent
+// down that stream, so nobody else can speak for the connection.
+const streams = new Map(); // key -> client id
+
+function handleEventStream(req, res) {
+  const id  = crypto.randomUUID();
+  const key = crypto.randomBytes(16).toString('hex');
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream; charset=utf-8',
+    'Cache-Control':     'no-store',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no', // ask buffering proxies to pass each event straight on
+  });
+  req.socket.setNoDelay(true);
+  req.socket.setKeepAlive(true, 20000);
+  const ping = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(ping);
+    streams.delete(key);
+    if (!clients.has(id)) return;
+    dropConnection(id);
+    broadcastLobby();
+  });
+
+  streams.set(key, id);
+  clients.set(id, {
+    send:   text => res.write('data: ' + text + '\n\n'),
+    close:  () => res.end(),
+    room:   null,
+    ip:     String(req.socket.remoteAddress || '').replace(/^::ffff:/, ''),
+    since:  Date.now(),
+    stream: true,
   });
-  const wrap=document.createElement('div');
-  wrap.style.cssText='grid-column:1/-1;display:flex;justify-content:center;margin-top:4px;';
-  const btn=document.createElement('button');
-  btn.className='gbtn';btn.style.cssText='padding:10px 24px;font-size:.85rem;';
-  btn.textContent='▶ Next Ball';
-  btn.onclick=()=>{btn.disabled=true;sendMsg({type:'nextBall'});};
-  wrap.appendChild(btn);grid.appendChild(wrap);
-  document.getElementById('ct').textContent='';
+  res.write('event: session\ndata: ' + key + '\n\n');
+  sendTo(id, { type: 'defaults', format: DEFAULT_MATCH });
+  broadcastLobby();
 }
 
-function renderDots(p,count){
-  const el=document.getElementById('pw'+p);el.innerHTML='';
-  for(let i=0;i<10;i++){const d=document.createElement('div');d.className='wd'+(i<count?' out':'');el.appendChild(d);}
+function handleEventPost(req, res, key) {
+  const id = streams.get(key);
+  const reply = status => { res.writeHead(status, { 'Cache-Control': 'no-store' }); res.end(); };
+  if (req.method !== 'POST') { reply(405); return; }
+  if (!id || !clients.has(id)) { reply(404); return; } // the stream has gone; the page opens another
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_FRAME_BYTES) { reply(413); req.destroy(); }
+  });
+  req.on('end', () => {
+    let msg;
+    try { msg = JSON.parse(body); } catch(_) { reply(400); return; }
+    onMessage(id, msg);
+    reply(204);
+  });
 }
-function flashStumps(batting){
-  const ids=batting===0?['b0','b1','b2']:['t0','t1','t2'];
-  ids.forEach(id=>document.getElementById(id).classList.add('k'));
-  setTimeout(()=>ids.forEach(id=>document.getElementById(id).classList.remove('k')),1300);
+
+// ─── Static files ──────────────────────────────────────────────────────────────
+// The browser client lives in public/. Files are read once at startup and
+// served with an ETag, so a repeat visit is a 304, and gzipped when accepted.
+const PUBLIC_DIR    = path.join(__dirname, 'public');
+const CONTENT_TYPES = {
+  '.html':        'text/html; charset=utf-8',
+  '.css':         'text/css; charset=utf-8',
+  '.js':          'text/javascript; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg':         'image/svg+xml',
+  '.png':         'image/png',
+  '.woff2':       'font/woff2',
+  '.txt':         'text/plain; charset=utf-8',
+};
+const COMPRESSIBLE = ['.html', '.css', '.js', '.webmanifest', '.svg', '.txt'];
+const LONG_CACHE   = ['.woff2', '.png']; // everything else is revalidated on every load
+
+function loadStatic(dir, prefix = '/') {
+  const files = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    const ext  = path.extname(entry.name);
+    if (entry.isDirectory()) {
+      for (const [name, f] of loadStatic(file, prefix + entry.name + '/')) files.set(name, f);
+      continue;
+    }
+    if (!CONTENT_TYPES[ext]) continue;
+    files.set(prefix + entry.name, staticFile(ext, fs.readFileSync(file)));
+  }
+  return files;
 }
-function setSt(txt,cls){const el=document.getElementById('sm');el.textContent=txt;el.className='smsg '+cls;}
-function addLog(txt,cls){
-  const lb=document.getElementById('lb');
-  const e=document.createElement('div');e.className='le '+cls;e.textContent=txt;
-  lb.prepend(e);while(lb.children.length>20)lb.removeChild(lb.lastChild);
+
+function staticFile(ext, body) {
+  const hash = crypto.createHash('sha1').update(body).digest('base64url').slice(0, 16);
+  return {
+    type:  CONTENT_TYPES[ext],
+    cache: LONG_CACHE.includes(ext) ? 'public, max-age=604800' : 'no-cache',
+    body,
+    hash,
+    etag:  '"' + hash + '"',
+    gzip:  COMPRESSIBLE.includes(ext) ? { body: zlib.gzipSync(body), etag: '"' + hash + '-gz"' } : null,
+  };
 }
 
-connect();
-</script>
-</body>
-</html>`;
+// The service worker names its cache after the content of every other file,
+// so any change to them reaches installed copies of the app on its own
+function stampServiceWorker(files) {
+  const sw = files.get('/sw.js');
+  if (!sw) return;
+  const version = crypto.createHash('sha1')
+    .update([...files].filter(([name]) => name !== '/sw.js').sort(([a], [b]) => (a < b ? -1 : 1)).map(([name, f]) => name + ':' + f.hash).join('\n'))
+    .digest('hex').slice(0, 12);
+  files.set('/sw.js', staticFile('.js', Buffer.from(sw.body.toString('utf8').replace('{{VERSION}}', version))));
+}
+const STATIC = loadStatic(PUBLIC_DIR);
+stampServiceWorker(STATIC);
+
+function sendStatic(req, res, file) {
+  const gzip = file.gzip && /\bgzip\b/.test(req.headers['accept-encoding'] || '');
+  const { body, etag } = gzip ? file.gzip : file;
+  const headers = { 'Content-Type': file.type, 'Cache-Control': file.cache, 'ETag': etag, 'Vary': 'Accept-Encoding' };
+  if ((req.headers['if-none-match'] || '').split(/\s*,\s*/).includes(etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  if (gzip) headers['Content-Encoding'] = 'gzip';
+  headers['Content-Length'] = body.length;
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
 
 // ─── HTTP + WS server ─────────────────────────────────────────────────────────
 const server = http.createServer((req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-  res.end(HTML);
+  const url  = new URL(req.url, 'http://localhost');
+  const card = url.pathname.match(/^\/rooms\/([A-Za-z]{4})\/scorecard\.(json|csv)$/);
+  if (card) { sendScorecard(res, card[1].toUpperCase(), card[2]); return; }
+  if (url.pathname === '/events' && req.method === 'GET') { handleEventStream(req, res); return; }
+  const post = url.pathname.match(/^\/events\/([0-9a-f]{32})$/);
+  if (post) { handleEventPost(req, res, post[1]); return; }
+  if (url.pathname === '/leaderboard') { sendLeaderboard(res); return; }
+  if (url.pathname === '/admin' || url.pathname.startsWith('/admin/')) { handleAdmin(req, res, url); return; }
+  if (url.pathname === '/replays') { sendReplayList(res); return; }
+  const replay = url.pathname.match(/^\/replays\/([0-9a-f]{12})\.json$/);
+  if (replay) { sendReplay(res, replay[1]); return; }
+  const prof = url.pathname.match(/^\/profile\/([0-9a-f]{12})$/);
+  if (prof) { sendProfile(res, prof[1]); return; }
+  const qr = url.pathname.match(/^\/qr\.(svg|png|json)$/);
+  if (qr) { sendQR(req, res, qr[1], url.searchParams); return; }
+
+  // Anything that isn't a file is the app itself, which reads ?room= and ?replay=
+  const file = STATIC.get(url.pathname === '/' ? '/index.html' : url.pathname);
+  if (file) { sendStatic(req, res, file); return; }
+  if (!path.extname(url.pathname)) { sendStatic(req, res, STATIC.get('/index.html')); return; }
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found\n');
 });
 
-server.on('upgrade', (req, socket, head) => {
-  if ((req.headers['upgrade'] || '').toLowerCase() !== 'websocket') {
-    socket.destroy();
-    return;
+server.on('upgrade', handleWsConnection);
+
+server.on('listening', () => {
+  port = server.address().port;
+  const pad  = (s, n) => s + ' '.repeat(Math.max(0, n - [...s].length));
+  const line = s => console.log('║  ' + pad(s, 52) + '║');
+  console.log('\n╔══════════════════════════════════════════════════════╗');
+  console.log('║    🏏  Cricket Clash — LAN Server                    ║');
+  console.log('╠══════════════════════════════════════════════════════╣');
+  if (port !== config.port) line('Port ' + config.port + ' was busy, so using ' + port);
+  if (config.file) line('Options: ' + path.basename(config.file));
+  line('Local:   http://localhost:' + port);
+  for (const a of ADDRESSES) {
+    line('Network: ' + pad('http://' + a.address + ':' + port, 28) + (a.name ? ' ' + a.name : ''));
   }
-  socket.setNoDelay(true);
-  handleWsConnection(req, socket);
-});
-
-server.listen(PORT, '0.0.0.0', () => {
-  const pad = (s, n) => s + ' '.repeat(Math.max(0, n - s.length));
-  console.log('\n╔══════════════════════════════════════════╗');
-  console.log('║    🏏  Cricket Clash — LAN Server        ║');
-  console.log('╠══════════════════════════════════════════╣');
-  console.log('║  ' + pad('Local:   http://localhost:' + PORT, 40) + '║');
-  console.log('║  ' + pad('Network: http://' + LOCAL_IP + ':' + PORT, 40) + '║');
-  console.log('╠══════════════════════════════════════════╣');
-  console.log('║  1. Open Network URL on BOTH devices     ║');
-  console.log('║  2. Enter names and tap Join Game        ║');
-  console.log('║  3. Play!   Ctrl+C to stop               ║');
-  console.log('╚══════════════════════════════════════════╝\n');
+  line('QR code: ' + (ADDRESSES.length > 1 ? 'first ' : '') + 'Network URL + /qr.svg or /qr.png');
+  line('Default: ' + DEFAULT_MATCH.name + (DEFAULT_MATCH.pickSeconds ? ', ' + DEFAULT_MATCH.pickSeconds + 's shot clock' : ''));
+  line('Admin:   http://localhost:' + port + '/admin');
+  line('         password ' + (config.adminPassword ? 'from your options' : ADMIN_PASSWORD));
+  console.log('╠══════════════════════════════════════════════════════╣');
+  line('1. Open a Network URL (or scan the QR)');
+  line('2. Tap Create Room, or enter a room code and Join');
+  line('3. Play!   Ctrl+C to stop');
+  console.log('╚══════════════════════════════════════════════════════╝\n');
 });
 
 server.on('error', err => {
+  if (err.code === 'EADDRINUSE' && port < config.port + PORT_TRIES - 1 && port < 65535) {
+    server.listen(++port, config.host);
+    return;
+  }
   if (err.code === 'EADDRINUSE') {
-    console.error('\n❌  Port ' + PORT + ' is busy. Close other programs using it and retry.\n');
+    console.error('\n❌  Ports ' + config.port + '–' + port + ' are all busy. Try --port with another number.\n');
+  } else if (err.code === 'EADDRNOTAVAIL') {
+    console.error('\n❌  ' + config.host + ' is not an address of this machine. Leave out --host to listen on all of them.\n');
   } else console.error('Server error:', err);
   process.exit(1);
 });
+
+server.listen(port, config.host);
@@ -0,0 +1,690 @@
+/**
+ * Cricket Clash rules engine — no I/O, no timers, no randomness of its own.
+ * A match is a plain, JSON-safe state object; applyAction(state, action)
+ * returns the next state and the events it produced and never touches the
+ * input. Chance (the toss, matchups, random picks on a timeout) comes from the
+ * state's seeded generator, so the same seed and actions always play the same match.
+ */
+
+// ─── Game constants ────────────────────────────────────────────────────────────
+const SHOTS = [
+  { name: 'Defensive', emoji: '🛡️', runs: 1 },
+  { name: 'Drive',     emoji: '🏏', runs: 2 },
+  { name: 'Cut',       emoji: '⚡', runs: 3 },
+  { name: 'Sweep',     emoji: '🌊', runs: 4 },
+  { name: 'Lofted',   emoji: '🌙', runs: 5 },
+  { name: 'Six!',      emoji: '💥', runs: 6 },
+];
+const DELIVERIES = ['Yorker', 'Bouncer', 'Spinner', 'Swinger', 'Full', 'Slower'];
+
+// "Realistic" rules: shot,delivery pairs that don't simply score the shot's runs.
+// A no-ball still credits the batter with the shot and gives a free hit next ball.
+const REALISTIC = {
+  '5,0': { type: 'dot' },                             // Six! vs Yorker — dug out
+  '1,5': { type: 'dot' },                             // Drive vs Slower — through the shot too early
+  '2,4': { type: 'dot' },                             // Cut vs Full — no width to cut
+  '2,3': { type: 'wide',   extras: 1, legal: false }, // Cut vs Swinger — swings past the tramline
+  '0,1': { type: 'wide',   extras: 1, legal: false }, // Defensive vs Bouncer — over the head
+  '4,1': { type: 'noball', extras: 1, legal: false }, // Lofted vs Bouncer — above the waist
+  '5,4': { type: 'noball', extras: 1, legal: false }, // Six! vs Full — overstepped
+  '1,3': { type: 'bye',    extras: 1 },               // Drive vs Swinger — beats bat and keeper
+  '3,0': { type: 'legbye', extras: 1 },               // Sweep vs Yorker — off the pad
+};
+
+// Matchup table: for a shot,delivery pair that would score, the chance of it
+// being a wicket anyway, scoring half (rounded down), or scoring 2 extra (max 6).
+const DEFAULT_MATCHUPS = {
+  '0,3': { wicket: 0.10 },                 // Defensive vs Swinger — the outside edge
+  '0,2': { reduced: 0.30 },                // Defensive vs Spinner — smothered
+  '1,0': { reduced: 0.50 },                // Drive vs Yorker — jammed
+  '1,4': { bonus: 0.40 },                  // Drive vs Full — in the slot
+  '2,1': { wicket: 0.15, bonus: 0.25 },    // Cut vs Bouncer — upper cut or top edge
+  '3,2': { wicket: 0.25, reduced: 0.25 },  // Sweep vs Spinner — risky against the turn
+  '3,4': { wicket: 0.20 },                 // Sweep vs Full — plumb LBW
+  '4,1': { wicket: 0.30 },                 // Lofted vs Bouncer — skied
+  '4,5': { wicket: 0.35 },                 // Lofted vs Slower — through the shot early
+  '5,3': { wicket: 0.20, bonus: 0.10 },    // Six! vs Swinger — edge or clean hit
+};
+const MAX_WICKETS = 10; // 11 players a side
+const MAX_OVERS   = 50;
+const SUPER_OVER  = { balls: 6, wickets: 2 };
+const TIE_BREAKS  = ['shared', 'boundaries']; // used when Super Overs are off
+const ON_TIMEOUT  = ['random', 'penalty'];    // what the shot clock does to a player who doesn't pick
+const RULESETS    = ['classic', 'realistic'];
+const MAX_PICK_SECONDS = 120;
+const TOSS_CALLS   = ['heads', 'tails'];
+const TOSS_CHOICES = ['bat', 'bowl'];
+const MIN_TEAM     = 2; // a batter needs a partner at the other end
+const MAX_TEAM     = 11;
+const BOWLER_SHARE = 5; // in team mode nobody bowls more than a fifth of the overs, given five bowlers
+const BYES         = ['bye', 'legbye']; // extras not charged to the bowler
+
+const MATCHUP_ODDS = ['wicket', 'reduced', 'bonus'];
+
+// ─── Match formats ─────────────────────────────────────────────────────────────
+const FORMATS = {
+  quick: { name: 'Super Quick', overs: 1,  wickets: 2  },
+  t5:    { name: 'T5',          overs: 5,  wickets: 10 },
+  t10:   { name: 'T10',         overs: 10, wickets: 10 },
+  t20:   { name: 'T20',         overs: 20, wickets: 10 },
+};
+const DEFAULT_FORMAT = 't5';
+
+// Accepts a preset key or { overs, wickets }, plus tie, shot-clock and scoring
+// rules and team mode; returns null when anything is out of range. pickSeconds = 0 turns the clock off.
+// matchups is true for the default table, or changes to it (see parseMatchups).
+function parseFormat(spec, {
+  superOver = false, tieBreak = 'shared', pickSeconds = 0, onTimeout = 'random', rules = 'classic', matchups = false,
+  teams = false,
+} = {}) {
+  if (spec === undefined || spec === null || spec === '') spec = DEFAULT_FORMAT;
+  if (!TIE_BREAKS.includes(tieBreak) || !ON_TIMEOUT.includes(onTimeout) || !RULESETS.includes(rules)) return null;
+  pickSeconds = Number(pickSeconds);
+  if (!Number.isInteger(pickSeconds) || pickSeconds < 0 || pickSeconds > MAX_PICK_SECONDS) return null;
+  const table = parseMatchups(matchups);
+  if (table === undefined) return null;
+  const tie = {
+    superOver: !!superOver, tieBreak, pickSeconds, onTimeout, rules, matchups: table, teams: !!teams,
+  };
+  if (typeof spec === 'string') {
+    const key = spec.toLowerCase();
+    return FORMATS[key] ? { key, ...FORMATS[key], ...tie } : null;
+  }
+  if (typeof spec !== 'object') return null;
+  const overs   = Number(spec.overs);
+  const wickets = Number(spec.wickets);
+  if (!Number.isInteger(overs)   || overs   < 1 || overs   > MAX_OVERS)   return null;
+  if (!Number.isInteger(wickets) || wickets < 1 || wickets > MAX_WICKETS) return null;
+  const name = overs + (overs === 1 ? ' over' : ' overs') + ', ' + wickets + (wickets === 1 ? ' wkt' : ' wkts');
+  return { key: 'custom', name, overs, wickets, ...tie };
+}
+
+// A matchup table from changes to the default one: { 'shot,delivery': odds },
+// naming each side by index or name (e.g. 'Sweep,Spinner' or '3,2'), where
+// odds is { wicket?, reduced?, bonus? } with chances that add up to at most 1,
+// or null to take the pair out. Falsy turns matchups off; undefined = invalid.
+function parseMatchups(matchups) {
+  if (!matchups) return null;
+  if (matchups === true) return DEFAULT_MATCHUPS;
+  if (typeof matchups !== 'object' || Array.isArray(matchups)) return undefined;
+  const table = { ...DEFAULT_MATCHUPS };
+  for (const [pair, odds] of Object.entries(matchups)) {
+    const sides = pair.split(',');
+    if (sides.length !== 2) return undefined;
+    const shot     = optionIndex(SHOTS.map(s => s.name), sides[0]);
+    const delivery = optionIndex(DELIVERIES, sides[1]);
+    if (shot < 0 || delivery < 0) return undefined;
+    if (odds === null) { delete table[shot + ',' + delivery]; continue; }
+    if (!odds || typeof odds !== 'object' || !Object.keys(odds).every(k => MATCHUP_ODDS.includes(k))) return undefined;
+    const chances = Object.values(odds);
+    if (!chances.every(p => typeof p === 'number' && p >= 0 && p <= 1) || chances.reduce((a, b) => a + b, 0) > 1) return undefined;
+    table[shot + ',' + delivery] = { ...odds };
+  }
+  return table;
+}
+
+function optionIndex(names, given) {
+  const v = given.trim();
+  return /^\d+$/.test(v) ? (Number(v) < names.length ? Number(v) : -1) : names.findIndex(n => n.toLowerCase() === v.toLowerCase());
+}
+
+// ─── Game state ────────────────────────────────────────────────────────────────
+function newGame(format = parseFormat(DEFAULT_FORMAT), seed = 0) {
+  return {
+    format,
+    seed,
+    rng:   seed, // advanced by nextRandom(); never sent to clients
+    names: ['Player 1', 'Player 2'],
+    innings: 1,
+    batting: 0,
+    scores:  [0, 0],
+    wickets: [0, 0],
+    balls:   0,
+    target:  null,
+    picks:   [null, null],
+    phase:   'waiting',
+    lastResult: null,
+    history: [], // one entry per delivery, both innings
+    superOver: 0, // 0 during the match proper, then 1, 2, … while tied
+    result:  null,
+    freeHit: false, // next ball follows a no-ball and can't take a wicket
+    timedOut: null, // sides the clock picked for while a locked-in pick is still to come
+    // Slot 1 calls, like a visiting captain; the winner picks who bats first
+    toss:    { caller: 1, call: null, coin: null, winner: null, choice: null },
+    // Team mode: each side's player names in batting order, and who is bowling
+    // the current over (an index into the fielding side). Slots stand for sides.
+    teams:   format.teams ? [[], []] : null,
+    bowler:  null,
+  };
+}
+
+function bowlerIdx(game) { return game.batting === 0 ? 1 : 0; }
+
+// Per-match mulberry32 generator. Its state lives on the game, so a match
+// replays identically from its seed.
+function nextRandom(game) {
+  let t = game.rng = (game.rng + 0x6D2B79F5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Team mode: who is on strike, by index into the batting side. Each wicket
+// brings in the next batter until the last one is left without a partner.
+function striker(game) {
+  return game.wickets[game.batting];
+}
+
+// Team mode: the player picking for each side right now, batter or bowler
+function activePlayers(game) {
+  if (!game.teams) return null;
+  const bat = game.batting;
+  return bat === 0 ? [striker(game), game.bowler] : [game.bowler, striker(game)];
+}
+
+// Team mode: like a real attack, two bowlers share the ends and alternate
+// overs until one of them has bowled their share; then the next player up
+// from the bottom of the batting order comes on. Nobody bowls two overs in a
+// row unless there is nobody else.
+function nextBowler(game) {
+  const n     = game.teams[bowlerIdx(game)].length;
+  const limit = Math.ceil(inningsLimits(game).balls / 6 / Math.min(BOWLER_SHARE, n));
+  const spell = []; // who bowled each over of this innings
+  for (const b of game.history) if (b.innings === game.innings && spell[b.over] === undefined) spell[b.over] = b.bowledBy;
+  const overs  = new Array(n).fill(0);
+  spell.forEach(i => overs[i]++);
+  const last   = spell[spell.length - 1];
+  const before = spell[spell.length - 2];
+  if (before !== undefined && before !== last && overs[before] < limit) return before;
+
+  const order = Array.from({ length: n }, (_, i) => n - 1 - i);
+  return order.find(i => i !== last && overs[i] < limit) ??
+    order.find(i => overs[i] < limit) ??
+    order.reduce((a, b) => (overs[b] < overs[a] ? b : a));
+}
+
+// In team mode a side is also all out once only one batter is left
+function inningsLimits(game) {
+  const limits = game.superOver ? { ...SUPER_OVER } : { balls: game.format.overs * 6, wickets: game.format.wickets };
+  const side   = game.teams && game.teams[game.batting];
+  if (side && side.length) limits.wickets = Math.min(limits.wickets, side.length - 1);
+  return limits;
+}
+
+// ─── Actions ───────────────────────────────────────────────────────────────────
+//   start      { names? }        both seats are filled, or in team mode both sides have MIN_TEAM:
+//                                begin, or resume after a pause
+//   pause                        a seat has emptied; nothing happens until the next start
+//   tossCall   { slot, call }    heads or tails, from the toss caller
+//   tossChoice { slot, choice }  bat or bowl first, from the toss winner
+//   setName    { slot, name }
+//   setTeam    { slot, players }  team mode: a side's names in batting order, before the first ball
+//   pick       { slot, pick }    0–5; the ball is bowled once both sides have picked
+//   timeout    { locked? }       the shot clock ran out on whoever hasn't picked, except
+//                                the sides in locked, whose hidden picks are still to come
+//   nextBall                     move on from a ball's result
+//   restart    { seed?, format? } a fresh match with the same names, and the same format unless given
+// Events: toss { toss } after the call and again after the choice,
+// delivery { ball }, inningsChange { innings, batting, target },
+// superOver { superOver } and gameOver { result }.
+const ACTIONS = {
+  start(game, { names }) {
+    if (game.phase !== 'waiting' || (game.teams && game.teams.some(t => t.length < MIN_TEAM))) return false;
+    if (names) game.names = names.slice();
+    game.phase = game.lastResult ? 'result' : game.toss.choice ? 'picking' : 'toss';
+  },
+
+  pause(game) {
+    if (game.phase === 'waiting' || game.phase === 'gameover') return false;
+    game.phase = 'waiting';
+  },
+
+  tossCall(game, { slot, call }, events) {
+    const toss = game.toss;
+    if (game.phase !== 'toss' || toss.winner !== null || slot !== toss.caller || !TOSS_CALLS.includes(call)) return false;
+    toss.call   = call;
+    toss.coin   = nextRandom(game) < 0.5 ? 'heads' : 'tails';
+    toss.winner = toss.coin === call ? slot : 1 - slot;
+    events.push({ type: 'toss', toss: { ...toss } });
+  },
+
+  tossChoice(game, { slot, choice }, events) {
+    const toss = game.toss;
+    if (game.phase !== 'toss' || toss.winner === null || slot !== toss.winner || !TOSS_CHOICES.includes(choice)) return false;
+    toss.choice  = choice;
+    game.batting = choice === 'bat' ? slot : 1 - slot;
+    game.phase   = 'picking';
+    if (game.teams) game.bowler = nextBowler(game);
+    events.push({ type: 'toss', toss: { ...toss } });
+  },
+
+  setName(game, { slot, name }) {
+    if (!isSlot(slot) || typeof name !== 'string' || !name) return false;
+    game.names[slot] = name;
+  },
+
+  setTeam(game, { slot, players }) {
+    if (!game.teams || !isSlot(slot) || game.toss.choice || game.history.length) return false;
+    if (!Array.isArray(players) || players.length > MAX_TEAM || !players.every(p => typeof p === 'string' && p)) return false;
+    game.teams[slot] = players.slice();
+  },
+
+  pick(game, { slot, pick }, events) {
+    if (game.phase !== 'picking' || !isSlot(slot) || game.picks[slot] !== null) return false;
+    if (!Number.isInteger(pick) || pick < 0 || pick >= SHOTS.length) return false;
+    game.picks[slot] = pick;
+    if (!game.picks.includes(null)) resolveBall(game, events, game.timedOut);
+  },
+
+  // A side that locked in on time isn't timed out: a random pick for the
+  // other side waits for theirs, and a penalty doesn't need it
+  timeout(game, { locked = [] }, events) {
+    if (!Array.isArray(locked)) return false;
+    const timeout = [0, 1].filter(s => game.picks[s] === null && !locked.includes(s));
+    if (game.phase !== 'picking' || !timeout.length) return false;
+
+    if (game.format.onTimeout === 'random') {
+      for (const s of timeout) game.picks[s] = Math.floor(nextRandom(game) * 6);
+      game.timedOut = [...(game.timedOut || []), ...timeout].sort();
+      if (!game.picks.includes(null)) resolveBall(game, events, game.timedOut);
+    } else if (timeout.includes(bowlerIdx(game))) {
+      recordDelivery(game, events, { type: 'wide', extras: 1, legal: false, timeout });
+    } else {
+      recordDelivery(game, events, { type: 'dot', timeout });
+    }
+  },
+
+  nextBall(game, action, events) {
+    if (game.phase !== 'result') return false;
+    advanceGame(game, events);
+  },
+
+  restart(game, { seed = game.rng, format = game.format }) {
+    if (!!format.teams !== !!game.format.teams) return false; // the seats are set up for one or the other
+    Object.assign(game, newGame(format, seed), { names: game.names, teams: game.teams });
+  },
+};
+
+function isSlot(slot) { return slot === 0 || slot === 1; }
+
+// Anything else on the state (seats, clocks — whatever the caller keeps there)
+// is carried through untouched. An action that doesn't apply right now returns
+// the very same state object and no events.
+function applyAction(state, action) {
+  const handler = action && Object.hasOwn(ACTIONS, action.type) && ACTIONS[action.type];
+  if (!handler) return { state, events: [] };
+  const game   = structuredClone(state);
+  const events = [];
+  if (handler(game, action, events) === false) return { state, events: [] };
+  return { state: game, events };
+}
+
+// ─── Deliveries ────────────────────────────────────────────────────────────────
+function resolveBall(game, events, timeout) {
+  const bPick = game.picks[game.batting];
+  const wPick = game.picks[bowlerIdx(game)];
+  const rule  = game.format.rules === 'realistic' ? REALISTIC[bPick + ',' + wPick] : null;
+
+  if (bPick === wPick && game.freeHit) recordDelivery(game, events, { type: 'dot', timeout });
+  else if (bPick === wPick)            recordDelivery(game, events, { type: 'wicket', wicket: true, timeout });
+  else if (rule && rule.type === 'noball') {
+    recordDelivery(game, events, { ...rule, runs: SHOTS[bPick].runs, timeout });
+  } else if (rule) {
+    recordDelivery(game, events, { ...rule, timeout });
+  } else {
+    recordDelivery(game, events, { ...matchupOutcome(game, bPick, wPick), timeout });
+  }
+}
+
+function matchupOutcome(game, bPick, wPick) {
+  const runs = SHOTS[bPick].runs;
+  const odds = game.format.matchups && game.format.matchups[bPick + ',' + wPick];
+  if (!odds) return { type: 'runs', runs };
+
+  const roll = nextRandom(game);
+  const { wicket = 0, reduced = 0, bonus = 0 } = odds;
+  if (roll < wicket) {
+    return game.freeHit ? { type: 'runs', runs } : { type: 'wicket', wicket: true, matchup: 'wicket' };
+  }
+  if (roll < wicket + reduced) {
+    const cut = Math.floor(runs / 2);
+    return { type: cut ? 'runs' : 'dot', runs: cut, matchup: 'reduced' };
+  }
+  if (roll < wicket + reduced + bonus) {
+    return { type: 'runs', runs: Math.min(6, runs + 2), matchup: 'bonus' };
+  }
+  return { type: 'runs', runs };
+}
+
+// Applies one delivery: { type, runs, extras, legal, wicket, timeout }.
+// `runs` are off the bat; `extras` go to the batting side but not the batter.
+function recordDelivery(game, events, outcome) {
+  const bSlot = game.batting;
+  const wSlot = bowlerIdx(game);
+  const o     = { runs: 0, extras: 0, legal: true, wicket: false, ...outcome };
+
+  const entry = {
+    innings:  game.innings,
+    over:     Math.floor(game.balls / 6),
+    ball:     game.balls % 6 + 1,
+    batter:   bSlot,
+    bowler:   wSlot,
+    batPick:  game.picks[bSlot],
+    bowlPick: game.picks[wSlot],
+    type:     o.type,
+    runs:     o.runs,
+    extras:   o.extras,
+    legal:    o.legal,
+    wicket:   o.wicket,
+    freeHit:  game.freeHit,
+  };
+  if (game.teams) Object.assign(entry, { striker: striker(game), bowledBy: game.bowler });
+
+  game.timedOut = null;
+  // A free hit carries over wides and no-balls until a legal ball is bowled
+  game.freeHit = o.type === 'noball' || (game.freeHit && !o.legal);
+  if (o.legal)  game.balls++;
+  if (o.wicket) game.wickets[bSlot]++;
+  game.scores[bSlot] += o.runs + o.extras;
+
+  entry.score   = game.scores[bSlot];
+  entry.wickets = game.wickets[bSlot];
+  if (o.timeout) entry.timeout = o.timeout;
+  if (o.matchup) entry.matchup = o.matchup;
+  game.history.push(entry);
+  entry.commentary = commentary(game, entry);
+  events.push({ type: 'delivery', ball: entry });
+
+  game.lastResult = {
+    type:     o.type,
+    runs:     o.runs,
+    extras:   o.extras,
+    batPick:  entry.batPick,
+    bowlPick: entry.bowlPick,
+    freeHit:  entry.freeHit,
+  };
+  if (o.timeout) game.lastResult.timeout = o.timeout;
+  if (o.matchup) game.lastResult.matchup = o.matchup;
+
+  if (game.target !== null && game.scores[bSlot] > game.target) {
+    const margin = inningsLimits(game).wickets - game.wickets[bSlot];
+    finishMatch(game, events, { winner: bSlot, method: 'wickets', margin });
+    return;
+  }
+  game.phase = 'result';
+}
+
+// ─── Commentary ────────────────────────────────────────────────────────────────
+const COMMENTARY = {
+  six: [
+    '{bat} launches the {delivery} into the stands — SIX!',
+    'That is HUGE from {bat}! Clean off the middle, six.',
+    '{bowl} drops it in the slot and {bat} sends it into orbit.',
+    'Out of the ground! {bat} picks the {delivery} early and clears the rope.',
+  ],
+  four: [
+    'Cracking {shot} from {bat}, races away for four.',
+    '{bat} finds the gap and nobody is stopping that — FOUR!',
+    'Beautifully timed, the {delivery} is sent to the fence.',
+  ],
+  runs: [
+    '{bat} works the {delivery} away for {runs}.',
+    '{runs} more to {bat} with the {shot}.',
+    'Good running between the wickets, {runs} taken.',
+  ],
+  single: [
+    '{bat} nudges it into the gap for a single.',
+    'Just the one off the {delivery}.',
+    'Dabbed away, they scamper through for one.',
+  ],
+  dot: [
+    '{bowl} beats the bat with the {delivery}. Dot ball.',
+    'Straight to the fielder, no run.',
+    'Tight from {bowl}, nothing off it.',
+  ],
+  dots: [
+    'That is {n} dot balls in a row — the pressure is building on {bat}.',
+    '{n} dots on the bounce! {bowl} is squeezing the life out of this.',
+  ],
+  wicket: [
+    'OUT! {bowl} reads the {shot} perfectly and {bat} has to go.',
+    'Gone! The {delivery} does the trick for {bowl}.',
+    'WICKET! {bat} picked the wrong one there.',
+  ],
+  edged: [
+    'Edged and taken! The {shot} against the {delivery} was always a risk.',
+    'Big mistake from {bat} — that {shot} goes straight up and is caught.',
+  ],
+  wide:   ['Wide! {bowl} strays down the leg side.', 'Too far outside off, the umpire signals wide.'],
+  noball: ['NO-BALL! {bowl} oversteps — free hit coming up.', 'The siren goes, that is a no-ball. Free hit next!'],
+  bye:    ['It beats bat and keeper, they run a bye.', 'Nobody touched that — a bye.'],
+  legbye: ['Off the pads, they scramble a leg bye.', 'Leg bye taken as it deflects off the thigh pad.'],
+  saved:  ['Would have been out, but it is a FREE HIT — {bat} survives!', 'The free hit saves {bat}! Not out.'],
+};
+
+function fillLine(lines, game, vars) {
+  const line = lines[(game.seed + game.history.length) % lines.length]; // varied but reproducible
+  return line.replace(/\{(\w+)\}/g, (_, k) => vars[k]);
+}
+
+// One line of text describing a ball that has just been added to the history.
+// In team mode {bat} and {bowl} are the players and {side} the batting team.
+function commentary(game, entry) {
+  const teams = game.teams;
+  const vars  = {
+    bat:      teams ? teams[entry.batter][entry.striker]  : game.names[entry.batter],
+    bowl:     teams ? teams[entry.bowler][entry.bowledBy] : game.names[entry.bowler],
+    side:     game.names[entry.batter],
+    shot:     entry.batPick  === null ? 'leave' : SHOTS[entry.batPick].name,
+    delivery: entry.bowlPick === null ? 'ball'  : DELIVERIES[entry.bowlPick],
+    runs:     entry.runs,
+  };
+  const innings = game.history.filter(b => b.innings === entry.innings);
+  const total   = entry.runs + entry.extras;
+  const lines   = [];
+
+  if (entry.wicket) lines.push(fillLine(entry.matchup === 'wicket' ? COMMENTARY.edged : COMMENTARY.wicket, game, vars));
+  else if (['wide', 'noball', 'bye', 'legbye'].includes(entry.type)) lines.push(fillLine(COMMENTARY[entry.type], game, vars));
+  else if (entry.freeHit && entry.batPick === entry.bowlPick) lines.push(fillLine(COMMENTARY.saved, game, vars));
+  else if (entry.runs === 6) lines.push(fillLine(COMMENTARY.six, game, vars));
+  else if (entry.runs === 4) lines.push(fillLine(COMMENTARY.four, game, vars));
+  else if (entry.runs === 1) lines.push(fillLine(COMMENTARY.single, game, vars));
+  else if (entry.runs > 0)   lines.push(fillLine(COMMENTARY.runs, game, vars));
+  else {
+    let n = 0;
+    for (let i = innings.length - 1; i >= 0 && innings[i].legal && innings[i].runs + innings[i].extras === 0 && !innings[i].wicket; i--) n++;
+    lines.push(fillLine(n >= 3 ? COMMENTARY.dots : COMMENTARY.dot, game, { ...vars, n }));
+  }
+
+  let sixes = 0;
+  for (let i = innings.length - 1; i >= 0 && innings[i].runs === 6; i--) sixes++;
+  if (sixes === 2) lines.push('Back-to-back sixes!');
+  else if (sixes > 2) lines.push('That is ' + sixes + ' sixes in a row!');
+  const wickets = innings.slice(-3);
+  if (entry.wicket && wickets.length === 3 && wickets.every(b => b.wicket && b.bowler === entry.bowler && b.bowledBy === entry.bowledBy)) {
+    lines.push('HAT-TRICK for ' + vars.bowl + '!');
+  }
+  const milestone = Math.floor(entry.score / 50) * 50;
+  if (milestone > 0 && entry.score - total < milestone) {
+    lines.push(milestone === 50 ? 'FIFTY up for ' + vars.side + '!' : milestone === 100 ? 'That is the HUNDRED for ' + vars.side + '!' : milestone + ' up for ' + vars.side + '.');
+  }
+
+  const limits = inningsLimits(game);
+  if (game.target !== null && entry.score > game.target) {
+    lines.push(vars.bat + ' knocks off the runs — what a chase!');
+  } else if (entry.wickets >= limits.wickets) {
+    lines.push('That is the end of the innings, ' + vars.side + ' all out for ' + entry.score + '.');
+  } else {
+    if (entry.wicket && teams) lines.push('In comes ' + teams[entry.batter][striker(game)] + '.');
+    if (game.target !== null && limits.balls - game.balls > 0) {
+      lines.push(vars.side + ' needs ' + (game.target + 1 - entry.score) + ' from ' + (limits.balls - game.balls) + '.');
+    }
+  }
+  return lines.join(' ');
+}
+
+// ─── Innings and results ───────────────────────────────────────────────────────
+function advanceGame(game, events) {
+  const bSlot = game.batting;
+  const limit = inningsLimits(game);
+  const done  = game.balls >= limit.balls || game.wickets[bSlot] >= limit.wickets;
+
+  const overUp = game.balls % 6 === 0 && game.history[game.history.length - 1].legal;
+
+  game.picks      = [null, null];
+  game.phase      = 'picking';
+  game.lastResult = null;
+
+  if (done && game.target === null) {
+    game.target  = game.scores[bSlot];
+    game.innings++;
+    game.batting = bowlerIdx(game);
+    game.balls   = 0;
+    game.freeHit = false;
+    events.push({ type: 'inningsChange', innings: game.innings, batting: game.batting, target: game.target });
+  } else if (done && game.scores[0] === game.scores[1]) {
+    if (!game.format.superOver) {
+      finishMatch(game, events, tieBreak(game));
+      return;
+    }
+    startSuperOver(game);
+    events.push({ type: 'superOver', superOver: game.superOver });
+  } else if (done) {
+    const winner = bowlerIdx(game);
+    finishMatch(game, events, { winner, method: 'runs', margin: game.target - game.scores[bSlot] });
+    return;
+  }
+  if (game.teams && (done || overUp)) game.bowler = nextBowler(game);
+}
+
+// Scores level: the side that batted last bats first in the next Super Over
+function startSuperOver(game) {
+  game.superOver++;
+  game.innings++;
+  game.scores  = [0, 0];
+  game.wickets = [0, 0];
+  game.balls   = 0;
+  game.target  = null;
+  game.freeHit = false;
+}
+
+function tieBreak(game) {
+  if (game.format.tieBreak === 'boundaries') {
+    const boundaries = [0, 0];
+    for (const b of game.history) {
+      if (b.innings <= 2 && (b.runs === 4 || b.runs === 6)) boundaries[b.batter]++;
+    }
+    if (boundaries[0] !== boundaries[1]) {
+      return { winner: boundaries[0] > boundaries[1] ? 0 : 1, method: 'boundaries', boundaries };
+    }
+  }
+  return { winner: null, method: 'tie' };
+}
+
+function finishMatch(game, events, result) {
+  if (game.superOver) result.superOver = game.superOver;
+  game.result = result;
+  game.phase  = 'gameover';
+  events.push({ type: 'gameOver', result });
+}
+
+// Team mode: each player's batting and bowling so far, per side in batting order
+function playerFigures(game) {
+  if (!game.teams) return null;
+  const figures = game.teams.map(players => players.map(name => ({
+    name, runs: 0, balls: 0, fours: 0, sixes: 0, outs: 0, bowled: 0, conceded: 0, wickets: 0,
+  })));
+  for (const b of game.history) {
+    const bat  = figures[b.batter][b.striker];
+    const bowl = figures[b.bowler][b.bowledBy];
+    bat.runs  += b.runs;
+    bat.balls += b.type === 'wide' ? 0 : 1;
+    bat.fours += b.runs === 4 ? 1 : 0;
+    bat.sixes += b.runs === 6 ? 1 : 0;
+    bat.outs  += b.wicket ? 1 : 0;
+    bowl.bowled   += b.legal ? 1 : 0;
+    bowl.conceded += b.runs + (BYES.includes(b.type) ? 0 : b.extras);
+    bowl.wickets  += b.wicket ? 1 : 0;
+  }
+  return figures;
+}
+
+// ─── Insights ──────────────────────────────────────────────────────────────────
+const STREAK_MIN = 3; // the same pick this many balls running is worth a mention
+
+// 0 when every option was picked equally often, 100 when it was always the same
+function predictability(counts) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  if (!total) return null;
+  const entropy = counts.reduce((h, n) => n ? h - n / total * Math.log2(n / total) : h, 0);
+  return Math.round((1 - entropy / Math.log2(counts.length)) * 100);
+}
+
+// What the ball history says about each side's picking, for after the match:
+// per innings, a shot × delivery grid of balls, runs and wickets; per side,
+// how often each shot and delivery was chosen and how predictable that was;
+// every run of STREAK_MIN or more of the same pick; and the deliveries that
+// took wickets, most first. Picks the shot clock made count in the grids
+// and the wickets but not as anyone's choice.
+function matchInsights(game) {
+  const innings = [];
+  const players = [0, 1].map(() => ({ shots: SHOTS.map(() => 0), deliveries: DELIVERIES.map(() => 0) }));
+  const streaks = [];
+  const runs    = new Map(); // side + role -> the streak in progress
+  const wickets = new Map(); // side + delivery -> count
+
+  const endRun = key => {
+    const run = runs.get(key);
+    if (run && run.length >= STREAK_MIN) streaks.push(run);
+    runs.delete(key);
+  };
+
+  for (const b of game.history) {
+    const inn = innings[b.innings - 1] || (innings[b.innings - 1] = {
+      innings: b.innings,
+      batter:  b.batter,
+      grid:    SHOTS.map(() => DELIVERIES.map(() => ({ balls: 0, runs: 0, wickets: 0 }))),
+    });
+    if (b.batPick !== null && b.bowlPick !== null) {
+      const cell = inn.grid[b.batPick][b.bowlPick];
+      cell.balls++;
+      cell.runs    += b.runs + b.extras;
+      cell.wickets += b.wicket ? 1 : 0;
+    }
+    if (b.wicket && b.bowlPick !== null) {
+      const key = b.bowler + ',' + b.bowlPick;
+      wickets.set(key, (wickets.get(key) || 0) + 1);
+    }
+
+    for (const [side, role, pick] of [[b.batter, 'bat', b.batPick], [b.bowler, 'bowl', b.bowlPick]]) {
+      const key = side + role;
+      if (pick === null || (b.timeout && b.timeout.includes(side))) { endRun(key); continue; }
+      players[side][role === 'bat' ? 'shots' : 'deliveries'][pick]++;
+      const run = runs.get(key);
+      if (run && run.pick === pick && run.innings === b.innings) { run.length++; continue; }
+      endRun(key);
+      runs.set(key, { side, role, pick, length: 1, innings: b.innings, over: b.over, ball: b.ball });
+    }
+  }
+  for (const key of [...runs.keys()]) endRun(key);
+
+  for (const p of players) {
+    p.batting = predictability(p.shots);
+    p.bowling = predictability(p.deliveries);
+  }
+  return {
+    innings: innings.filter(Boolean),
+    players,
+    streaks: streaks.sort((a, b) => b.length - a.length),
+    wickets: [...wickets].map(([key, n]) => {
+      const [bowler, delivery] = key.split(',').map(Number);
+      return { bowler, delivery, wickets: n };
+    }).sort((a, b) => b.wickets - a.wickets),
+  };
+}
+
+module.exports = {
+  SHOTS, DELIVERIES, FORMATS, DEFAULT_FORMAT, MAX_WICKETS, MAX_OVERS, MAX_PICK_SECONDS, TOSS_CALLS, TOSS_CHOICES,
+  MIN_TEAM, MAX_TEAM, BYES,
+  parseFormat, newGame, inningsLimits, activePlayers, playerFigures, matchInsights, applyAction,
+};
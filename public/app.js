@@ -0,0 +1,997 @@
+const SHOTS=[{n:'Defensive',e:'🛡️',r:1},{n:'Drive',e:'🏏',r:2},{n:'Cut',e:'⚡',r:3},
+             {n:'Sweep',e:'🌊',r:4},{n:'Lofted',e:'🌙',r:5},{n:'Six!',e:'💥',r:6}];
+const DELIV=[{n:'Yorker',e:'🎯'},{n:'Bouncer',e:'⚡'},{n:'Spinner',e:'🌀'},
+             {n:'Swinger',e:'💨'},{n:'Full',e:'📍'},{n:'Slower',e:'🌙'}];
+const REACTS=['👏','🔥','😱','😂','🎉','🦆'];
+const EMOTES=['Well bowled!','Shot!','Lucky!','Howzat?!','Unlucky','Good game'];
+
+let ws, mySlot=-1, mySide=-1, joined=false, picked=null, lastInn=1, myRoom=null, tossShown=false, preset=false;
+let token=sessionStorage.getItem('cc-token'), awayAt=null, awayTick=null;
+const device=localStorage.getItem('cc-device')||(()=>{
+  const d=Array.from(crypto.getRandomValues(new Uint8Array(16)),b=>b.toString(16).padStart(2,'0')).join('');
+  localStorage.setItem('cc-device',d);return d;
+})();
+let logCount=0, lastG=null, chartMode='worm', clockAt=null, clockTick=null;
+let pending=JSON.parse(sessionStorage.getItem('cc-pick')||'null'), oppCommit=null, checked=0;
+const SIDE_COL=['#5dade2','#e67e22'];
+const MIN_TEAM=2; // players a side a team match needs to start
+const urlRoom=(new URLSearchParams(location.search).get('room')||'').toUpperCase();
+let myTour=(new URLSearchParams(location.search).get('t')||'').toUpperCase()||null, roomTour=null;
+const replayId=new URLSearchParams(location.search).get('replay');
+let matchId=null, rp=null, rpIdx=0, rpTimer=null;
+let chatMe=null, chatMuted=[], chatNames={};
+
+function drawQR(id,room){
+  fetch('/qr.json'+(room?'?room='+room:'')).then(r=>r.json()).then(q=>{
+    const canvas=document.getElementById(id),ctx=canvas.getContext('2d'),S=canvas.width;
+    const n=q.modules.length,cell=Math.floor(S/(n+8)),off=Math.floor((S-cell*n)/2);
+    ctx.fillStyle='#fff';ctx.fillRect(0,0,S,S);ctx.fillStyle='#000';
+    q.modules.forEach((row,y)=>{for(let x=0;x<n;x++)if(row[x]==='1')ctx.fillRect(off+x*cell,off+y*cell,cell,cell);});
+    canvas.parentNode.href='/qr.svg'+(room?'?room='+room:'');
+    if(id==='qr')document.getElementById('urlPill').textContent=q.url;
+  }).catch(()=>{});
+}
+
+// WebSocket first; if the upgrade never gets through (some proxies and captive
+// portals break it) fall back to an event stream, with messages sent by POST
+let sse=null, sseKey=null, posting=Promise.resolve(), wsFails=0, useSSE=false;
+function online(){
+  document.getElementById('cdot').classList.add('on');
+  document.getElementById('clbl').textContent = useSSE ? 'Connected (HTTP)' : 'Connected';
+  drawQR('qr', myRoom);
+  sendMsg({type:'hello', device});
+  if (token) sendMsg({type:'resume', token});
+  else if (myRoom) sendMsg({type:'joinRoom', code:myRoom, name:myName()});
+  if (myTour) sendMsg({type:'watchTournament', code:myTour});
+}
+function offline(){
+  document.getElementById('cdot').classList.remove('on');
+  document.getElementById('clbl').textContent = 'Reconnecting…';
+}
+function connect() {
+  if (useSSE && window.EventSource) { connectSSE(); return; }
+  const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  let opened = false;
+  ws = new WebSocket(proto + '//' + location.host);
+  const stuck = setTimeout(() => ws.close(), 8000);
+  ws.onopen = () => { clearTimeout(stuck); opened = true; wsFails = 0; online(); };
+  ws.onmessage = e => { try{handle(JSON.parse(e.data));}catch(_){} };
+  ws.onclose = () => {
+    clearTimeout(stuck);
+    ws.onclose = null; offline();
+    if (!opened && ++wsFails >= 2) useSSE = true;
+    setTimeout(connect, useSSE ? 0 : 2000);
+  };
+  ws.onerror = () => ws.close();
+}
+function connectSSE() {
+  let opened = false;
+  sse = new EventSource('/events');
+  sse.addEventListener('session', e => { sseKey = e.data; opened = true; online(); });
+  sse.onmessage = e => { try{handle(JSON.parse(e.data));}catch(_){} };
+  sse.onerror = () => {
+    sse.close(); sse = null; sseKey = null; offline();
+    if (!opened) { useSSE = false; wsFails = 0; } // not reachable this way either: try a socket again
+    setTimeout(connect, 2000);
+  };
+}
+
+// POSTs go one at a time so the server sees messages in the order they were sent
+function sendMsg(obj){
+  if(sseKey){
+    const key=sseKey, body=JSON.stringify(obj);
+    posting=posting.then(()=>fetch('/events/'+key,{method:'POST',headers:{'Content-Type':'application/json'},body}))
+      .then(r=>{if(r.status===404&&sse&&sseKey===key)sse.onerror();}).catch(()=>{});
+    return;
+  }
+  if(ws&&ws.readyState===1)ws.send(JSON.stringify(obj));
+}
+
+function myName(){return document.getElementById('nameIn').value.trim()||'Player';}
+function formatOptions(){
+  const f=document.getElementById('fmtIn').value;
+  const format=f==='custom'?{overs:Number(document.getElementById('ovIn').value),
+                             wickets:Number(document.getElementById('wkIn').value)}:f;
+  return {format,
+          superOver:document.getElementById('soIn').checked,tieBreak:document.getElementById('tbIn').value,
+          pickSeconds:Number(document.getElementById('clkIn').value),onTimeout:document.getElementById('toIn').value,
+          rules:document.getElementById('rulesIn').value,matchups:document.getElementById('muIn').checked,
+          teams:document.getElementById('teamIn').checked};
+}
+// Start the create form at the server's default match (once, so a reconnect keeps any changes)
+function presetForm(f){
+  if(preset)return;preset=true;
+  const set=(id,v)=>{const el=document.getElementById(id);el[el.type==='checkbox'?'checked':'value']=v;if(el.onchange)el.onchange();};
+  const clk=document.getElementById('clkIn');
+  if(![...clk.options].some(o=>Number(o.value)===f.pickSeconds))clk.add(new Option(f.pickSeconds+' second shot clock',f.pickSeconds));
+  if(f.key==='custom'){set('ovIn',f.overs);set('wkIn',f.wickets);}
+  set('fmtIn',f.key);set('muIn',!!f.matchups);set('soIn',f.superOver);set('tbIn',f.tieBreak);
+  set('rulesIn',f.rules);set('clkIn',f.pickSeconds);set('toIn',f.onTimeout);set('teamIn',!!f.teams);
+}
+function createRoom(){
+  sendMsg({type:'createRoom',name:myName(),...formatOptions(),bot:document.getElementById('botIn').value||undefined});
+}
+function createTournament(){
+  const entrants=document.getElementById('teIn').value.split('\n').map(n=>n.trim().slice(0,20)).filter(Boolean).slice(0,16);
+  sendMsg({type:'createTournament',name:document.getElementById('tnIn').value.trim()||undefined,
+           kind:document.getElementById('tkIn').value,entrants,...formatOptions(),teams:false});
+}
+function joinRoom(code){
+  code=String(code||'').trim().toUpperCase();
+  if(code)sendMsg({type:'joinRoom',code,name:myName()});
+}
+function setToken(t){
+  token=t||null;
+  if(token)sessionStorage.setItem('cc-token',token);else sessionStorage.removeItem('cc-token');
+}
+function leaveRoom(){
+  if(rp){location.href='/replays';return;}
+  sendMsg({type:'leaveRoom'});
+  setToken(null);
+  joined=false;myRoom=null;mySlot=-1;mySide=-1;lastInn=1;logCount=0;
+  document.getElementById('lb').innerHTML='';
+  document.getElementById('scsec').style.display='none';
+  document.getElementById('insec').style.display='none';
+  document.getElementById('roomQR').style.display='none';
+  document.getElementById('lnup').innerHTML='';
+  document.getElementById('chatLog').innerHTML='';
+  document.getElementById('innOv').classList.remove('show');
+  document.getElementById('tossOv').classList.remove('show');
+  document.getElementById('goOv').classList.remove('show');
+  document.getElementById('game').style.display='none';
+  document.getElementById('lobby').style.display='flex';
+  history.replaceState(null,'','/');
+  if(roomTour){myTour=roomTour;roomTour=null;sendMsg({type:'watchTournament',code:myTour});}
+}
+function playAgain(){
+  if(rp){document.getElementById('goOv').classList.remove('show');seekReplay(0);toggleReplay();}
+  else if(roomTour)leaveRoom();
+  else sendMsg({type:'restart'});
+}
+
+function renderLobby(list){
+  const el=document.getElementById('rlist');el.innerHTML='';
+  if(!list.length){el.innerHTML='<p class="hint">No rooms yet — create one!</p>';return;}
+  list.forEach(r=>{
+    const row=document.createElement('div');row.className='ri';
+    const players=r.names.filter(n=>n!==null);
+    row.innerHTML='<span class="rc"></span><span class="rn"></span><button></button>';
+    row.children[0].textContent=r.code;
+    row.children[1].textContent=r.name+' · '+r.format+' · '+(players.join(' vs ')||'empty')+(r.spectators?' · 👀 '+r.spectators:'');
+    row.children[2].textContent=r.open?'Join':'Watch';
+    row.children[2].onclick=()=>joinRoom(r.code);
+    el.appendChild(row);
+  });
+}
+
+function handle(msg){
+  if(msg.type==='lobby'){renderLobby(msg.rooms);renderCups(msg.tournaments);return;}
+  if(msg.type==='defaults'){presetForm(msg.format);return;}
+  if(msg.type==='tournament'){
+    myTour=msg.tournament.code;
+    renderTournament(msg.tournament,msg.organiser);
+    if(!joined)showTournament();
+    return;
+  }
+  if(msg.type==='profile'){
+    const p=msg.profile,el=document.getElementById('profLinks');el.innerHTML='';
+    const me=document.createElement('a');me.href='/profile/'+p.id;
+    me.textContent='🏏 My profile'+(p.matches?' ('+p.wins+'/'+p.matches+' wins)':'');
+    const lb=document.createElement('a');lb.href='/leaderboard';lb.textContent='🏅 Leaderboard';
+    el.append(me,' · ',lb);
+    return;
+  }
+  if(msg.type==='error'){
+    document.getElementById('lst').textContent=msg.message;
+    document.getElementById('tmsg').textContent=msg.message;
+    if(joined&&!rp)addChat({note:msg.message});
+    return;
+  }
+  if(msg.type==='kicked'){
+    leaveRoom();
+    document.getElementById('lst').textContent=msg.message;
+    return;
+  }
+  if(msg.type==='resumeFailed'){
+    setToken(null);
+    if(myRoom)sendMsg({type:'joinRoom',code:myRoom,name:myName()});
+    return;
+  }
+  if(msg.type==='joined'){
+    mySlot=msg.slot;mySide=msg.side===undefined?msg.slot:msg.side;myRoom=msg.room;joined=true;
+    setToken(msg.token);
+    history.replaceState(null,'','/?room='+myRoom);
+    document.getElementById('rcode').textContent=myRoom;
+    document.getElementById('lst').textContent='';
+    document.getElementById('lobby').style.display='none';
+    document.getElementById('tour').style.display='none';
+    document.getElementById('game').style.display='block';
+    return;
+  }
+  if(msg.type==='reaction'){floatReaction(msg.emoji);return;}
+  if(msg.type==='chatHistory'){
+    chatMe=msg.you;chatMuted=msg.muted;
+    document.getElementById('chatLog').innerHTML='';
+    msg.messages.forEach(addChat);
+    chatMuted.forEach(id=>addChat({note:'🔇 '+(chatNames[id]||'A player')+' is muted',unmute:id}));
+    return;
+  }
+  if(msg.type==='chat'){addChat(msg.message);return;}
+  if(msg.type==='state') renderGame(msg);
+}
+
+function floatReaction(e){
+  const r=el('span','rx',e);
+  r.style.left=(10+Math.random()*75)+'%';
+  document.querySelector('.pw').appendChild(r);
+  setTimeout(()=>r.remove(),2000);
+}
+// Chat is for players, and closed while a ball is being picked
+function renderChat(g,spec){
+  const bar=document.getElementById('emotes'),shut=g.phase==='picking'||g.phase==='reveal';
+  if(!bar.children.length)EMOTES.forEach((e,i)=>{
+    const b=el('button','',e);b.onclick=()=>sendMsg({type:'chat',emote:i});bar.appendChild(b);
+  });
+  bar.style.display=document.getElementById('chatRow').style.display=spec?'none':'';
+  bar.querySelectorAll('button').forEach(b=>b.disabled=shut);
+  const inp=document.getElementById('chatIn');
+  inp.disabled=shut;inp.nextElementSibling.disabled=shut;
+  inp.placeholder=shut?'Chat opens again once the ball is bowled':'Say something…';
+}
+function sendChat(){
+  const inp=document.getElementById('chatIn'),text=inp.value.trim();
+  if(!text||inp.disabled)return;
+  sendMsg({type:'chat',text});inp.value='';
+}
+function addChat(m){
+  const log=document.getElementById('chatLog');
+  if(m.note){
+    const n=log.appendChild(el('div','cm note',m.note));
+    if(m.unmute){const a=n.appendChild(el('a','','unmute'));a.onclick=()=>sendMsg({type:'mute',player:m.unmute,muted:false});}
+  } else {
+    chatNames[m.from]=m.name;
+    const row=log.appendChild(el('div','cm'+(m.emote?' emo':'')));
+    row.appendChild(el('b','',m.name)).style.color=SIDE_COL[m.side];
+    row.appendChild(el('span','',m.text));
+    if(m.from!==chatMe){
+      const a=row.appendChild(el('a','','🔇'));a.title='Mute '+m.name;
+      a.onclick=()=>sendMsg({type:'mute',player:m.from,muted:true});
+    }
+  }
+  while(log.children.length>50)log.removeChild(log.firstChild);
+  log.scrollTop=log.scrollHeight;
+}
+function renderSpectator(spec,count){
+  document.getElementById('game').classList.toggle('spec',spec);
+  document.getElementById('logT').textContent=spec?'🎙 Commentary':'Ball by Ball';
+  document.getElementById('goAgain').style.display=spec&&!roomTour&&!rp?'none':'';
+  document.getElementById('specN').textContent=count?' · 👀 '+count+' watching':'';
+  const bar=document.getElementById('rbar');
+  bar.style.display=spec&&!rp?'flex':'none';
+  if(spec&&!bar.children.length)REACTS.forEach(e=>{
+    const b=el('button','',e);b.onclick=()=>sendMsg({type:'react',emoji:e});bar.appendChild(b);
+  });
+}
+
+function renderGame(msg){
+  const g=msg.game;
+  if(!g) return;
+
+  if(!joined) return;
+
+  // In a team match the slot (who picks for a side) moves between teammates
+  mySlot=msg.slot;mySide=msg.side===undefined?msg.slot:msg.side;
+  roomTour=msg.room.tournament||null;
+  matchId=rp?rp.id:msg.room.replay||null;
+  renderSpectator(mySide<0,msg.room.spectators);
+  renderChat(g,mySide<0);
+  syncPicks(g);
+  const last=g.history[g.history.length-1];
+  document.getElementById('cmt').textContent=g.phase!=='picking'&&last?last.commentary:'';
+  for(let p=0;p<2;p++){
+    document.getElementById('pn'+p).textContent=g.names[p];
+    document.getElementById('ps'+p).textContent=g.scores[p];
+    renderDots(p,g.wickets[p],g.limits.wickets);
+    document.getElementById('pp'+p).classList.toggle('bat',g.batting===p);
+    document.getElementById('pp'+p).classList.toggle('you',mySide===p);
+    document.getElementById('pa'+p).textContent=g.teams&&g.phase!=='waiting'&&g.toss.choice?(g.batting===p?'🏏 ':'🎳 ')+who(g,p):'';
+  }
+  document.getElementById('lnup').innerHTML='';
+  renderAway(g);
+  renderClock(g);
+  syncLog(g.history);
+  renderScorecard(g);
+  document.getElementById('gInn').textContent=g.superOver?'SO'+g.superOver:g.innings;
+  document.getElementById('gOv').textContent=Math.floor(g.balls/6)+'.'+g.balls%6+'/'+g.limits.balls/6;
+
+  // Toss popup, once per match and only before the first ball
+  const t=g.toss;
+  if(g.phase==='toss')tossShown=false;
+  else if(t.call&&t.choice&&!g.history.length&&!tossShown){
+    tossShown=true;
+    document.getElementById('tossT').textContent=g.names[t.winner]+' won the toss!';
+    document.getElementById('tossD').textContent=g.names[t.caller]+' called '+t.call+', it landed '+t.coin+' — '+
+      g.names[t.winner]+' chose to '+t.choice+' first';
+    document.getElementById('tossOv').classList.add('show');
+  }
+
+  // Innings change popup
+  if(g.innings>lastInn&&g.phase==='picking'){
+    const so=g.target===null;
+    document.getElementById('innT').textContent=so?'Super Over'+(g.superOver>1?' '+g.superOver:'')+'!':'Innings Change!';
+    document.getElementById('innD').textContent=so?'Scores level — '+g.names[g.batting]+' bats first':
+      g.names[g.batting]+' needs '+(g.target+1)+' to win';
+    document.getElementById('innOv').querySelector('button').textContent=so?'Start Super Over →':'Start Innings '+g.innings+' →';
+    document.getElementById('innOv').classList.add('show');
+  }
+  lastInn=g.innings;
+
+  // Target
+  if(g.target!==null){
+    const need=g.target-g.scores[g.batting]+1;
+    document.getElementById('tb').style.display='block';
+    document.getElementById('tb').textContent='Target: '+(g.target+1)+' | Need '+Math.max(0,need)+' from '+(g.limits.balls-g.balls)+' balls';
+  } else if(g.superOver){
+    document.getElementById('tb').style.display='block';
+    document.getElementById('tb').textContent='Super Over'+(g.superOver>1?' '+g.superOver:'')+' — 1 over, 2 wickets';
+  } else document.getElementById('tb').style.display='none';
+
+  // Game over
+  if(g.phase==='gameover'){
+    const r=g.result;
+    let em='🏆',ti,de;
+    if(r.winner===null){em='🤝';ti="It's a Tie!";de='Scores level — result shared';}
+    else{ti=g.names[r.winner]+' Wins!';de=marginText(r);}
+    document.getElementById('goE').textContent=em;
+    document.getElementById('goT').textContent=ti;
+    document.getElementById('goD').textContent=de;
+    const again=document.getElementById('goAgain'),opp=g.names[1-mySide];
+    again.disabled=!roomTour&&!rp&&!!g.rematch[mySide];
+    again.textContent=rp?'🔁 Watch again':roomTour?'🏆 Back to tournament':g.rematch[mySide]?'⏳ Waiting for '+opp+'…':
+      g.rematch[1-mySide]?'🔁 '+opp+' wants a rematch!':'Play Again';
+    const goRp=document.getElementById('goRp');goRp.innerHTML='';
+    if(matchId&&!rp){const a=el('a','','🎬 Watch replay');a.href='/?replay='+matchId;goRp.append(' · ',a);}
+    document.getElementById('insL').style.display='';
+    if(document.getElementById('insec').style.display!=='none')renderInsights(g);
+    document.getElementById('goOv').classList.add('show');
+    return;
+  }
+  document.getElementById('goOv').classList.remove('show');
+  document.getElementById('insL').style.display='none';
+  document.getElementById('insec').style.display='none';
+
+  // Result
+  if(g.phase==='result'&&g.lastResult){
+    const lr=g.lastResult;
+    const bl=document.getElementById('bl');
+    bl.classList.remove('fly');void bl.offsetWidth;bl.classList.add('fly');
+    const slow=lr.timeout?' · ⏱ '+lr.timeout.map(s=>g.names[s]).join(' & ')+' too slow':'';
+    if(lr.type==='wicket'){
+      flashStumps(g.batting);
+      setSt('💀 WICKET! OUT!'+(MATCHUP_NOTE[lr.matchup]||'')+slow,'wkt');
+    } else if(lr.type==='wide'){
+      setSt('↔️ WIDE! +'+lr.extras+slow,'run');
+    } else if(lr.type==='noball'){
+      setSt('🚫 NO BALL! +'+lr.extras+(lr.runs?' & '+runsText(lr.runs):'')+' — FREE HIT next'+slow,'run');
+    } else if(lr.type==='bye'||lr.type==='legbye'){
+      setSt('🏃 '+lr.extras+' '+(lr.type==='bye'?'bye':'leg bye')+(lr.extras===1?'':'s')+slow,'run');
+    } else if(lr.type==='dot'){
+      setSt((lr.freeHit&&lr.batPick===lr.bowlPick?'🆓 Free hit — not out!':'• Dot ball')+(MATCHUP_NOTE[lr.matchup]||'')+slow,'wait');
+    } else {
+      setSt((lr.runs===6?'💥':lr.runs===4?'🌊':'✅')+' '+runsText(lr.runs)+'!'+(MATCHUP_NOTE[lr.matchup]||'')+slow,'run');
+    }
+    showResultCards(lr);
+    picked=null;
+    return;
+  }
+
+  // Picking
+  picked=null;
+  const rqr=document.getElementById('roomQR');
+  const amBat=mySlot===g.batting;
+  const amBowl=mySlot>=0&&mySlot!==g.batting;
+
+  if(g.phase==='waiting'||!g.slots[0]||!g.slots[1]){
+    setSt(msg.room.held?'⏸ The host has paused the match':msg.room.lineup?'👥 Line-ups — room code '+myRoom+' or scan to join:':
+      '⏳ Waiting for '+(g.teams?'players':'opponent')+' — room code '+myRoom+' or scan:','wait');
+    if(rqr.style.display!=='block'){rqr.style.display='block';drawQR('rqr',myRoom);}
+    document.getElementById('ct').textContent='';
+    document.getElementById('cg').innerHTML='';
+    if(msg.room.lineup)renderLineup(msg.room.squads,g);
+    return;
+  }
+  rqr.style.display='none';
+  if(g.phase==='toss'){renderToss(g);return;}
+
+  renderMatchups(g.format.matchups,amBowl?DELIV:SHOTS);
+  if(g.myPick){
+    setSt(g.phase==='reveal'?'🔓 Revealing picks…':'✅ Locked in — waiting for opponent…','lock');
+    showCards(amBat?SHOTS:DELIV,true);
+    document.getElementById('ct').textContent=amBat?'🏏 Shot locked!':'🎳 Delivery locked!';
+    return;
+  }
+
+  const fh=g.freeHit?'🆓 FREE HIT — ':'';
+  if(amBat){
+    setSt(fh+'🏏 Pick your shot!','wait');
+    document.getElementById('ct').textContent='🏏 Batting — choose your shot';
+    showCards(SHOTS,false);
+  } else if(amBowl){
+    setSt(fh+'🎳 Pick your delivery!','wait');
+    document.getElementById('ct').textContent='🎳 Bowling — choose your delivery';
+    showCards(DELIV,false);
+  } else {
+    const bat=who(g,g.batting),bowl=who(g,1-g.batting);
+    setSt(mySide<0?(rp?'🎬 ':'👀 Spectating — ')+bat+' to face '+bowl:
+      mySide===g.batting?'🏏 '+bat+' is batting for your side':'🎳 '+bowl+' is bowling for your side','wait');
+    document.getElementById('ct').textContent='';
+    document.getElementById('cg').innerHTML='';
+  }
+}
+
+// The player picking for a side: its batter or bowler in a team match, else the side itself
+function who(g,side){return g.teams?g.teams[side][g.active[side]]:g.names[side];}
+function renderLineup(squads,g){
+  const box=document.getElementById('lnup');
+  squads.forEach((sq,side)=>{
+    const col=box.appendChild(el('div','sq'+(side===mySide?' mine':'')));
+    col.appendChild(el('div','ctitle',g.names[side])).style.color=SIDE_COL[side];
+    sq.forEach((p,i)=>{
+      const row=col.appendChild(el('div','lp'+(p.here?'':' gone'),(i+1)+'. '+p.name));
+      if(side!==mySide||!i)return;
+      const b=row.appendChild(el('button','','▲'));b.title='Move up the order';
+      b.onclick=()=>sendMsg({type:'moveUp',player:i});
+    });
+    if(!sq.length)col.appendChild(el('div','lp gone','Nobody yet'));
+  });
+  const ready=squads.every(sq=>sq.filter(p=>p.here).length>=MIN_TEAM);
+  if(!ready)box.appendChild(el('div','ln','At least '+MIN_TEAM+' players a side, all here, to start'));
+  if(mySide<0)return;
+  const bar=box.appendChild(el('div','lb'));
+  bar.appendChild(el('button','gbtn sm','⇄ Switch side')).onclick=()=>sendMsg({type:'switchSide'});
+  const go=bar.appendChild(el('button','gbtn sm','▶ Start match'));
+  go.disabled=!ready;
+  go.onclick=()=>sendMsg({type:'startMatch'});
+}
+
+function renderToss(g){
+  const t=g.toss;
+  document.getElementById('ct').textContent='';
+  document.getElementById('cg').innerHTML='';
+  if(t.winner===null&&mySide===t.caller){
+    setSt('🪙 Call the toss!','wait');
+    document.getElementById('ct').textContent='🪙 Heads or tails?';
+    showChoices([{e:'👑',n:'Heads',msg:{type:'tossCall',call:'heads'}},{e:'🦅',n:'Tails',msg:{type:'tossCall',call:'tails'}}]);
+  } else if(t.winner===null){
+    setSt('🪙 '+g.names[t.caller]+' is calling the toss…','wait');
+  } else if(mySide===t.winner){
+    setSt('🪙 It landed '+t.coin+' — you won the toss!','run');
+    document.getElementById('ct').textContent='Bat or bowl first?';
+    showChoices([{e:'🏏',n:'Bat',msg:{type:'tossChoice',choice:'bat'}},{e:'🎳',n:'Bowl',msg:{type:'tossChoice',choice:'bowl'}}]);
+  } else {
+    setSt('🪙 It landed '+t.coin+' — '+g.names[t.winner]+' won the toss and is choosing…','wait');
+  }
+}
+function showChoices(opts){
+  const grid=document.getElementById('cg');
+  opts.forEach(o=>{
+    const c=el('div','card');
+    c.innerHTML='<span class="ce">'+o.e+'</span><span class="cn">'+o.n+'</span>';
+    c.onclick=()=>{
+      grid.querySelectorAll('.card').forEach(cc=>{cc.classList.toggle('sel',cc===c);cc.classList.add('off');});
+      sendMsg(o.msg);
+    };
+    grid.appendChild(c);
+  });
+}
+
+function marginText(r){
+  let de=r.method==='boundaries'?'on boundary count '+r.boundaries[r.winner]+'–'+r.boundaries[1-r.winner]:
+         'by '+r.margin+' '+(r.method==='runs'?'run':'wicket')+(r.margin===1?'':'s');
+  if(r.superOver)de+=' in the Super Over'+(r.superOver>1?' ('+r.superOver+')':'');
+  return de;
+}
+
+function renderCups(list){
+  const box=document.getElementById('tlist');box.innerHTML='';
+  if(!list||!list.length){box.innerHTML='<p class="hint">No tournaments yet</p>';return;}
+  list.forEach(t=>{
+    const row=box.appendChild(el('div','ri'));
+    row.append(el('span','rc',t.code),
+      el('span','rn',t.name+' · '+(t.kind==='league'?'League':'Knockout')+' · '+t.entrants+' entrants · '+
+        (t.status==='registration'?'registering':t.status==='running'?'in progress':'🏆 '+t.champion)),
+      el('button','',t.status==='registration'?'Enter':'View'));
+    row.lastChild.onclick=()=>{myTour=t.code;sendMsg({type:'watchTournament',code:t.code});};
+  });
+}
+function showTournament(){
+  document.getElementById('lobby').style.display='none';
+  document.getElementById('game').style.display='none';
+  document.getElementById('tour').style.display='block';
+  history.replaceState(null,'','/?t='+myTour);
+}
+function closeTournament(){
+  sendMsg({type:'watchTournament'});
+  myTour=null;
+  document.getElementById('tour').style.display='none';
+  document.getElementById('lobby').style.display='flex';
+  history.replaceState(null,'','/');
+}
+function registerEntrant(){
+  const name=document.getElementById('trIn').value.trim()||myName();
+  sendMsg({type:'registerEntrant',code:myTour,name});
+}
+function roundName(t,r){
+  if(t.kind==='league')return 'Round '+r;
+  const last=Math.max(...t.fixtures.map(f=>f.round));
+  return r===last?'Final':r===last-1?'Semi-finals':r===last-2?'Quarter-finals':'Round '+r;
+}
+function fixtureRow(t,f){
+  const row=el('div','fx'),who=s=>f.sides[s]===null?(f.result?'bye':'TBD'):t.players[f.sides[s]];
+  row.appendChild(el('div','fv',who(0)+' v '+who(1)));
+  const r=f.result,lv=f.live;
+  if(r&&r.bye)row.appendChild(el('div','fr',who(r.winner)+' through on a bye'));
+  else if(r)row.appendChild(el('div','fr',(r.winner===null?'Tied':who(r.winner)+' won '+marginText(r))+
+    ' · '+r.runs[0]+'/'+r.wickets[0]+' v '+r.runs[1]+'/'+r.wickets[1]));
+  else if(lv&&lv.phase!=='waiting')row.appendChild(el('div','fr live','● Live · '+who(0)+' '+lv.scores[0]+'/'+lv.wickets[0]+
+    ' v '+who(1)+' '+lv.scores[1]+'/'+lv.wickets[1]+' · '+who(lv.batting)+' batting, '+Math.floor(lv.balls/6)+'.'+lv.balls%6+' ov'));
+  if(r||t.status!=='running'||f.sides.includes(null))return row;
+  [0,1].forEach(s=>{
+    if(lv&&lv.seated[s])return;
+    const b=row.appendChild(el('button','','▶ Play as '+who(s)));
+    b.onclick=()=>sendMsg({type:'playFixture',code:t.code,fixture:f.id,side:s});
+  });
+  if(lv){
+    const b=row.appendChild(el('button','','👀 Watch'));
+    b.onclick=()=>sendMsg({type:'playFixture',code:t.code,fixture:f.id});
+  }
+  return row;
+}
+function renderTournament(t,organiser){
+  document.getElementById('tcode').textContent=t.code;
+  document.getElementById('tname').textContent='🏆 '+t.name;
+  document.getElementById('tstat').textContent=(t.kind==='league'?'League':'Knockout')+' · '+t.format+' · '+
+    (t.status==='registration'?'Registration open':t.status==='running'?'In progress':'Finished');
+  document.getElementById('tent').textContent=t.status==='finished'?'🏆 Champion: '+t.champion+' 🏆':
+    t.status==='registration'?(t.players.length?'Entrants: '+t.players.join(', '):'No entrants yet'):'';
+  document.getElementById('treg').style.display=t.status==='registration'?'flex':'none';
+  document.getElementById('tstart').style.display=t.status==='registration'&&organiser?'block':'none';
+  document.getElementById('tmsg').textContent='';
+
+  const pts=document.getElementById('tpts');pts.innerHTML='';
+  if(t.kind==='league'&&t.status!=='registration'){
+    const tbl=pts.appendChild(el('table','pts')),head=tbl.insertRow();
+    ['#','Player','P','W','L','T','Pts','NRR'].forEach(h=>head.appendChild(el('th','',h)));
+    t.standings.forEach((r,i)=>{
+      const tr=tbl.insertRow();if(i===0&&r.played)tr.className='top';
+      [i+1,r.name,r.played,r.won,r.lost,r.tied,r.points,(r.nrr>0?'+':'')+r.nrr.toFixed(3)].forEach(v=>tr.appendChild(el('td','',String(v))));
+    });
+  }
+
+  const fix=document.getElementById('tfix');fix.innerHTML='';
+  const rounds=[...new Set(t.fixtures.map(f=>f.round))];
+  const box=t.kind==='knockout'?fix.appendChild(el('div','brk')):fix;
+  rounds.forEach(r=>{
+    const col=box.appendChild(el('div','col'));
+    col.appendChild(el('div','ctitle',roundName(t,r)));
+    t.fixtures.filter(f=>f.round===r).forEach(f=>col.appendChild(fixtureRow(t,f)));
+  });
+}
+
+function renderClock(g){
+  clearInterval(clockTick);
+  const el=document.getElementById('clk');
+  if(g.clock===null||g.phase!=='picking'){el.textContent='';return;}
+  clockAt=Date.now()+g.clock;
+  const tick=()=>{
+    const left=Math.max(0,Math.ceil((clockAt-Date.now())/1000));
+    el.textContent='⏱ '+left+'s';el.classList.toggle('urgent',left<=3);
+  };
+  tick();clockTick=setInterval(tick,250);
+}
+
+function renderAway(g){
+  const p=g.away.findIndex((ms,i)=>ms!==null&&i!==mySide);
+  clearInterval(awayTick);
+  const el=document.getElementById('awayB');
+  if(p<0){el.style.display='none';return;}
+  awayAt=Date.now()+g.away[p];
+  const tick=()=>{
+    const left=Math.max(0,Math.ceil((awayAt-Date.now())/1000));
+    el.textContent='📡 '+g.names[p]+' disconnected — waiting '+left+'s';
+  };
+  el.style.display='block';tick();
+  awayTick=setInterval(tick,1000);
+}
+
+// Matchup rows for one shot (i, as batter) or one delivery (i, as bowler)
+function matchupsFor(table,arr,i){
+  const rows=[];
+  if(!table)return rows;
+  for(let j=0;j<6;j++){
+    const key=arr===SHOTS?i+','+j:j+','+i,o=table[key];
+    if(!o)continue;
+    const odds=[];
+    if(o.wicket)odds.push(Math.round(o.wicket*100)+'% out');
+    if(o.reduced)odds.push(Math.round(o.reduced*100)+'% half runs');
+    if(o.bonus)odds.push(Math.round(o.bonus*100)+'% +2 runs');
+    rows.push({other:arr===SHOTS?DELIV[j]:SHOTS[j],risky:!!o.wicket,text:odds.join(', ')});
+  }
+  return rows;
+}
+function renderMatchups(table,arr){
+  const box=document.getElementById('mlg');
+  box.style.display=table?'':'none';
+  if(!table)return;
+  const b=document.getElementById('mlgb');b.innerHTML='';
+  arr.forEach((item,i)=>matchupsFor(table,arr,i).forEach(r=>
+    b.appendChild(el('div','',item.e+' '+item.n+' vs '+r.other.e+' '+r.other.n+' — '+r.text))));
+}
+
+function showCards(arr,locked){
+  const grid=document.getElementById('cg');grid.innerHTML='';
+  const table=lastG&&lastG.format.matchups;
+  arr.forEach((item,i)=>{
+    const c=document.createElement('div');
+    c.className='card'+(locked?' off':'');
+    c.innerHTML='<span class="ce">'+item.e+'</span><div class="cr">'+(item.r!==undefined?item.r:'')+'</div><span class="cn">'+item.n+'</span>';
+    const mu=matchupsFor(table,arr,i);
+    if(mu.length){
+      c.appendChild(el('span','mu',mu.some(r=>r.risky)?'⚠':'✨'));
+      c.title=mu.map(r=>'vs '+r.other.n+': '+r.text).join('\n');
+    }
+    if(!locked){c.onclick=()=>{
+      if(picked!==null)return;
+      picked=i;
+      grid.querySelectorAll('.card').forEach((cc,j)=>{cc.classList.toggle('sel',j===i);cc.classList.add('off');});
+      const nonce=Array.from(crypto.getRandomValues(new Uint8Array(16)),b=>b.toString(16).padStart(2,'0')).join('');
+      setPending({pick:i,nonce,commit:sha256(i+':'+nonce)});
+      sendMsg({type:'pick',commit:pending.commit});
+    };}
+    grid.appendChild(c);
+  });
+}
+
+// SHA-256 (hex) — crypto.subtle is unavailable on plain-http LAN pages
+function sha256(str){
+  const P=[],K=[];let H=[];
+  for(let n=2;P.length<64;n++)if(P.every(p=>n%p))P.push(n);
+  const fr=x=>(x-Math.floor(x))*4294967296|0;
+  P.forEach((p,i)=>{K[i]=fr(Math.cbrt(p));if(i<8)H[i]=fr(Math.sqrt(p));});
+  const b=new TextEncoder().encode(str),l=b.length,n=(l+72>>6)<<6,m=new Uint8Array(n),dv=new DataView(m.buffer);
+  m.set(b);m[l]=0x80;dv.setUint32(n-4,l*8);
+  const r=(x,k)=>x>>>k|x<<(32-k),W=[];
+  for(let o=0;o<n;o+=64){
+    for(let i=0;i<64;i++)W[i]=i<16?dv.getUint32(o+i*4):
+      (r(W[i-2],17)^r(W[i-2],19)^W[i-2]>>>10)+W[i-7]+(r(W[i-15],7)^r(W[i-15],18)^W[i-15]>>>3)+W[i-16]|0;
+    let [a,bb,c,d,e,f,g,h]=H;
+    for(let i=0;i<64;i++){
+      const t1=h+(r(e,6)^r(e,11)^r(e,25))+(e&f^~e&g)+K[i]+W[i]|0,t2=(r(a,2)^r(a,13)^r(a,22))+(a&bb^a&c^bb&c)|0;
+      h=g;g=f;f=e;e=d+t1|0;d=c;c=bb;bb=a;a=t1+t2|0;
+    }
+    H=[a,bb,c,d,e,f,g,h].map((x,i)=>H[i]+x|0);
+  }
+  return H.map(x=>(x>>>0).toString(16).padStart(8,'0')).join('');
+}
+function setPending(p){
+  pending=p;
+  if(p)sessionStorage.setItem('cc-pick',JSON.stringify(p));else sessionStorage.removeItem('cc-pick');
+}
+// Reveal our pick once the opponent is locked in, and afterwards check their
+// revealed pick against the commitment we saw before revealing ours
+function syncPicks(g){
+  const fair=document.getElementById('fair');
+  if(g.reveal&&pending&&!pending.sent){
+    oppCommit=g.commits[1-mySlot];
+    pending.sent=true;setPending(pending);
+    sendMsg({type:'reveal',pick:pending.pick,nonce:pending.nonce});
+  }
+  if(g.phase==='reveal')return;
+  if(g.phase!=='picking')setPending(null);
+  const b=g.history[g.history.length-1];
+  if(!b||checked===g.history.length||mySlot<0)return;
+  checked=g.history.length;
+  fair.textContent='';
+  if(!oppCommit)return;
+  const opp=1-mySlot,pick=opp===b.batter?b.batPick:b.bowlPick,nonce=b.nonces&&b.nonces[opp];
+  const ok=nonce&&pick!==null&&sha256(pick+':'+nonce)===oppCommit;
+  fair.textContent=ok?'🔒':'⚠️';
+  fair.title=ok?'Verified: '+g.names[opp]+' locked in before your pick was revealed':"Couldn't verify "+g.names[opp]+"'s pick";
+  oppCommit=null;
+}
+
+function showResultCards(lr){
+  const grid=document.getElementById('cg');grid.innerHTML='';
+  SHOTS.forEach((s,i)=>{
+    const c=document.createElement('div');
+    const h=i===lr.batPick&&lr.type==='wicket';
+    const sc=i===lr.batPick&&lr.type==='runs';
+    c.className='card off'+(h?' hit':sc?' scored':'');
+    c.innerHTML='<span class="ce">'+s.e+'</span><div class="cr">'+s.r+'</div><span class="cn">'+s.n+'</span>';
+    grid.appendChild(c);
+  });
+  document.getElementById('ct').textContent='';
+  if(mySide<0)return;
+  const wrap=document.createElement('div');
+  wrap.style.cssText='grid-column:1/-1;display:flex;justify-content:center;margin-top:4px;';
+  const btn=document.createElement('button');
+  btn.className='gbtn';btn.style.cssText='padding:10px 24px;font-size:.85rem;';
+  btn.textContent='▶ Next Ball';
+  btn.onclick=()=>{btn.disabled=true;sendMsg({type:'nextBall'});};
+  wrap.appendChild(btn);grid.appendChild(wrap);
+}
+
+function renderDots(p,count,max){
+  const el=document.getElementById('pw'+p);el.innerHTML='';
+  for(let i=0;i<max;i++){const d=document.createElement('div');d.className='wd'+(i<count?' out':'');el.appendChild(d);}
+}
+function flashStumps(batting){
+  const ids=batting===0?['b0','b1','b2']:['t0','t1','t2'];
+  ids.forEach(id=>document.getElementById(id).classList.add('k'));
+  setTimeout(()=>ids.forEach(id=>document.getElementById(id).classList.remove('k')),1300);
+}
+function setSt(txt,cls){const el=document.getElementById('sm');el.textContent=txt;el.className='smsg '+cls;}
+function runsText(n){return n+' run'+(n===1?'':'s');}
+function pickText(b){return (b.batPick===null?'—':SHOTS[b.batPick].n)+' vs '+(b.bowlPick===null?'—':DELIV[b.bowlPick].n);}
+function ballText(b){
+  const slow=b.timeout?' ⏱':'';
+  if(b.type==='wide')return '↔️ Wide +'+b.extras+' · '+pickText(b)+slow;
+  if(b.type==='noball')return '🚫 No ball +'+b.extras+(b.runs?' & '+runsText(b.runs):'')+' · '+pickText(b)+slow;
+  if(b.type==='bye'||b.type==='legbye')return '🏃 '+(b.type==='bye'?'Bye':'Leg bye')+' +'+b.extras+' · '+pickText(b)+slow;
+  if(b.type==='dot')return (b.freeHit&&b.batPick===b.bowlPick?'🆓 Free hit, not out':'• Dot ball')+' · '+pickText(b)+(MATCHUP_NOTE[b.matchup]||'')+slow;
+  const note=MATCHUP_NOTE[b.matchup]||'';
+  if(b.wicket)return '💀 WICKET! '+pickText(b)+note+slow;
+  return pickText(b)+' → '+runsText(b.runs)+(b.freeHit?' (free hit)':'')+note+slow;
+}
+const CHIP={wide:'Wd',noball:'Nb',bye:'B',legbye:'Lb'};
+const MATCHUP_NOTE={wicket:' — risky matchup!',reduced:' — mistimed, half runs',bonus:' — middled it, +2'};
+function chipText(b){
+  if(b.wicket)return 'W';
+  if(CHIP[b.type])return CHIP[b.type]+(b.type==='noball'?(b.runs||''):b.extras);
+  return String(b.runs);
+}
+function extrasText(balls){
+  const x={wide:0,noball:0,bye:0,legbye:0};let dots=0;
+  balls.forEach(b=>{if(b.type in x)x[b.type]+=b.extras;if(b.legal&&!b.wicket&&b.runs+b.extras===0)dots++;});
+  const total=x.wide+x.noball+x.bye+x.legbye;
+  return 'Extras '+total+' (w '+x.wide+', nb '+x.noball+', b '+x.bye+', lb '+x.legbye+') · Dot balls '+dots;
+}
+function syncLog(h){
+  if(h.length<logCount){document.getElementById('lb').innerHTML='';logCount=0;}
+  for(;logCount<h.length;logCount++){
+    const b=h[logCount];
+    addLog(b.over+'.'+b.ball+'  '+(mySide<0?b.commentary:ballText(b)),b.wicket?'wk':b.runs===6?'r6':b.runs===4?'r4':'');
+  }
+}
+
+function el(tag,cls,text){const e=document.createElement(tag);if(cls)e.className=cls;if(text!==undefined)e.textContent=text;return e;}
+function fmtOv(balls){return Math.floor(balls/6)+'.'+balls%6;}
+function rate(runs,balls){return balls?(runs*6/balls).toFixed(2):'0.00';}
+function toggleCard(force){
+  const sc=document.getElementById('scsec');
+  sc.style.display=(force||sc.style.display==='none')?'block':'none';
+  if(lastG)renderScorecard(lastG);
+  if(force)sc.scrollIntoView({behavior:'smooth'});
+}
+function setChart(m){
+  chartMode=m;
+  document.getElementById('chWorm').classList.toggle('on',m==='worm');
+  document.getElementById('chManhattan').classList.toggle('on',m==='manhattan');
+  if(lastG)drawChart(lastG);
+}
+function inningsBalls(g,inn){return g.history.filter(b=>b.innings===inn);}
+function legalCount(balls){return balls.filter(b=>b.legal).length;}
+function oversOf(balls){
+  const o=[];
+  balls.forEach(b=>{const x=o[b.over]||(o[b.over]={balls:[],runs:0,wk:0,end:'0/0'});
+    x.balls.push(b);x.runs+=b.runs+b.extras;x.wk+=b.wicket?1:0;x.end=b.score+'/'+b.wickets;});
+  return o;
+}
+function renderScorecard(g){
+  lastG=g;
+  if(document.getElementById('scsec').style.display==='none')return;
+  const box=document.getElementById('scInn');box.innerHTML='';
+  for(let inn=1;inn<=g.innings;inn++){
+    const balls=inningsBalls(g,inn);
+    const bat=balls.length?balls[0].batter:(inn===g.innings?g.batting:1-g.batting);
+    const last=balls[balls.length-1],runs=last?last.score:0,wk=last?last.wickets:0,legal=legalCount(balls);
+    const card=el('div','inn'),head=el('div','innh'),so=inn>2?Math.ceil((inn-2)/2):0;
+    head.appendChild(el('span','',(so?'Super Over'+(so>1?' '+so:'')+' · ':'')+
+      g.names[bat]+' — '+runs+'/'+wk+' ('+fmtOv(legal)+' ov)'));
+    head.appendChild(el('span','rr','RR '+rate(runs,legal)));
+    head.style.color=SIDE_COL[bat];
+    card.appendChild(head);
+    card.appendChild(el('div','rr',extrasText(balls)));
+    if(inn===g.innings&&g.target!==null&&g.phase!=='gameover'){
+      const need=g.target+1-runs,left=g.limits.balls-legal;
+      card.appendChild(el('div','innx','Need '+Math.max(0,need)+' off '+left+' · RRR '+rate(Math.max(0,need),left)));
+    }
+    oversOf(balls).forEach((o,i)=>{
+      if(!o)return;
+      const row=el('div','ovr'),bs=el('span','bs');
+      row.appendChild(el('span','on','Ov '+(i+1)));
+      o.balls.forEach(b=>bs.appendChild(el('span','bc'+(b.wicket?' w':!b.legal?' x':b.runs===6?' b6':b.runs===4?' b4':''),chipText(b))));
+      row.appendChild(bs);
+      row.appendChild(el('span','ot',o.runs+' runs · '+o.end));
+      card.appendChild(row);
+    });
+    box.appendChild(card);
+  }
+  if(g.figures)g.figures.forEach((side,s)=>box.appendChild(figuresTable(g.names[s],side)));
+  const dl=document.getElementById('scDl');dl.innerHTML='';
+  if(g.phase==='gameover'){
+    dl.appendChild(document.createTextNode('Download: '));
+    const links=rp?[['JSON','/replays/'+rp.id+'.json']]:['json','csv'].map(ext=>[ext.toUpperCase(),'/rooms/'+myRoom+'/scorecard.'+ext]);
+    links.forEach(([text,href],i)=>{
+      const a=el('a','',text);a.href=href;a.download='';
+      if(i)dl.appendChild(document.createTextNode(' · '));
+      dl.appendChild(a);
+    });
+    if(matchId&&!rp){const a=el('a','','🎬 Watch replay');a.href='/?replay='+matchId;dl.append(' · ',a);}
+  }
+  drawChart(g);
+}
+// Batting and bowling figures for one side of a team match
+function figuresTable(name,players){
+  const card=el('div','inn'),tbl=el('table','pts fig'),head=tbl.insertRow();
+  card.appendChild(el('div','innh',name));
+  ['Player','R','B','4s','6s','','O','R','W'].forEach(h=>head.appendChild(el('th','',h)));
+  players.forEach(p=>{
+    const tr=tbl.insertRow();
+    [p.name+(p.outs?'':p.balls?' *':''),p.runs,p.balls,p.fours,p.sixes,'',
+     p.bowled?fmtOv(p.bowled):'–',p.bowled?p.conceded:'–',p.bowled?p.wickets:'–'].forEach(v=>tr.appendChild(el('td','',String(v))));
+  });
+  card.appendChild(tbl);
+  return card;
+}
+// After the match: the server's analysis of both sides' picks
+function showInsights(){
+  document.getElementById('goOv').classList.remove('show');
+  const sec=document.getElementById('insec');sec.style.display='block';
+  if(lastG)renderInsights(lastG);
+  sec.scrollIntoView({behavior:'smooth'});
+}
+function renderInsights(g){
+  const box=document.getElementById('insBox'),ins=g.insights;box.innerHTML='';
+  if(!ins)return;
+  const pickName=(role,i)=>role==='bat'?SHOTS[i].e+' '+SHOTS[i].n:DELIV[i].e+' '+DELIV[i].n;
+  const head=(text,side)=>{const h=el('div','innh',text);if(side!==undefined)h.style.color=SIDE_COL[side];return h;};
+  ins.innings.forEach(inn=>{
+    const card=el('div','inn'),so=inn.innings>2?Math.ceil((inn.innings-2)/2):0;
+    card.appendChild(head((so?'Super Over'+(so>1?' '+so:'')+' · ':'')+g.names[inn.batter]+' batting',inn.batter));
+    card.appendChild(el('div','rr','Shots down, deliveries across · brighter = more balls · red ring = a wicket'));
+    const max=Math.max(1,...inn.grid.flat().map(c=>c.balls)),tbl=el('table','heat'),top=tbl.insertRow();
+    top.appendChild(el('th',''));
+    DELIV.forEach(d=>{const th=el('th','',d.e);th.title=d.n;top.appendChild(th);});
+    inn.grid.forEach((row,i)=>{
+      const tr=tbl.insertRow(),th=el('th','',SHOTS[i].e);th.title=SHOTS[i].n;tr.appendChild(th);
+      row.forEach((c,j)=>{
+        const td=el('td',c.wickets?'w':'',c.balls?String(c.balls):'');
+        if(c.balls)td.style.background='rgba(240,192,64,'+(.15+c.balls/max*.7).toFixed(2)+')';
+        td.title=SHOTS[i].n+' v '+DELIV[j].n+': '+c.balls+' ball'+(c.balls===1?'':'s')+', '+c.runs+' run'+(c.runs===1?'':'s')+(c.wickets?', '+c.wickets+' out':'');
+        tr.appendChild(td);
+      });
+    });
+    card.appendChild(tbl);
+    box.appendChild(card);
+  });
+  ins.players.forEach((p,s)=>{
+    const card=el('div','inn');
+    card.appendChild(head(g.names[s],s));
+    [['Batting',p.shots,SHOTS,p.batting],['Bowling',p.deliveries,DELIV,p.bowling]].forEach(([label,counts,opts,score])=>{
+      if(score===null)return;
+      const most=Math.max(...counts),bars=el('div','bars');
+      card.appendChild(el('div','rr',label+' · '+score+'% predictable — '+(score>=50?'easy to read':score>=25?'some habits':'hard to read')));
+      counts.forEach((n,i)=>{
+        const bar=el('div','bar'),fill=el('span','fill');
+        fill.style.height=Math.round(n/most*60)+'px';
+        bar.title=opts[i].n+': '+n;
+        bar.append(el('span','',String(n)),fill,el('span','be',opts[i].e));
+        bars.appendChild(bar);
+      });
+      card.appendChild(bars);
+    });
+    box.appendChild(card);
+  });
+  const notes=el('div','inn');
+  notes.appendChild(head('Streaks & wicket-takers'));
+  ins.streaks.slice(0,5).forEach(st=>notes.appendChild(el('div','innx',
+    '🔁 '+g.names[st.side]+(st.role==='bat'?' played ':' bowled ')+pickName(st.role,st.pick)+' '+st.length+' balls running from over '+(st.over+1)+
+    (st.innings>2?' of the Super Over':st.innings===2?' of innings 2':''))));
+  const best=ins.wickets.length?ins.wickets[0].wickets:0;
+  ins.wickets.filter(w=>w.wickets===best).forEach(w=>notes.appendChild(el('div','innx',
+    '☝️ '+pickName('bowl',w.delivery)+' took '+w.wickets+' wicket'+(w.wickets===1?'':'s')+' for '+g.names[w.bowler])));
+  if(!ins.streaks.length&&!best)notes.appendChild(el('div','rr','No repeated picks and no wickets'));
+  box.appendChild(notes);
+}
+function drawChart(g){
+  const cv=document.getElementById('chart'),ctx=cv.getContext('2d'),W=cv.width,H=cv.height,P=30;
+  ctx.clearRect(0,0,W,H);
+  const inns=[1,2].map(n=>inningsBalls(g,n)).filter(b=>b.length); // Super Overs would skew the axis
+  const overs=g.format.overs,xw=(W-P-10)/overs;
+  let maxY=6;
+  inns.forEach(b=>{
+    if(chartMode==='worm')maxY=Math.max(maxY,b[b.length-1].score);
+    else oversOf(b).forEach(o=>{if(o)maxY=Math.max(maxY,o.runs);});
+  });
+  if(chartMode==='worm'&&g.target!==null)maxY=Math.max(maxY,g.target+1);
+  const y=v=>H-P-(v/maxY)*(H-P-10);
+  ctx.strokeStyle='rgba(255,255,255,.25)';ctx.lineWidth=1;
+  ctx.beginPath();ctx.moveTo(P,10);ctx.lineTo(P,H-P);ctx.lineTo(W-10,H-P);ctx.stroke();
+  ctx.fillStyle='rgba(255,255,255,.5)';ctx.font='12px Rajdhani,sans-serif';ctx.textAlign='right';
+  [0,Math.round(maxY/2),maxY].forEach(v=>ctx.fillText(v,P-5,y(v)+4));
+  ctx.textAlign='center';
+  const step=Math.ceil(overs/10);
+  for(let i=step;i<=overs;i+=step)ctx.fillText(i,P+xw*(chartMode==='worm'?i:i-.5),H-P+15);
+  if(chartMode==='worm'){
+    if(g.target!==null){
+      ctx.setLineDash([4,4]);ctx.strokeStyle='rgba(240,192,64,.5)';
+      ctx.beginPath();ctx.moveTo(P,y(g.target+1));ctx.lineTo(W-10,y(g.target+1));ctx.stroke();ctx.setLineDash([]);
+    }
+    inns.forEach(b=>{
+      let n=0;
+      const pts=b.map(x=>{if(x.legal)n++;return [P+xw*n/6,y(x.score),x.wicket];});
+      ctx.strokeStyle=SIDE_COL[b[0].batter];ctx.lineWidth=2.5;ctx.beginPath();ctx.moveTo(P,y(0));
+      pts.forEach(p=>ctx.lineTo(p[0],p[1]));ctx.stroke();
+      ctx.fillStyle='#e74c3c';
+      pts.forEach(p=>{if(p[2]){ctx.beginPath();ctx.arc(p[0],p[1],4,0,7);ctx.fill();}});
+    });
+  } else {
+    const bw=xw*.8/inns.length;
+    inns.forEach((b,k)=>oversOf(b).forEach((o,i)=>{
+      if(!o)return;
+      const x=P+xw*i+xw*.1+bw*k;
+      ctx.fillStyle=SIDE_COL[b[0].batter];ctx.fillRect(x,y(o.runs),bw-1,H-P-y(o.runs));
+      ctx.fillStyle='#e74c3c';
+      for(let w=0;w<o.wk;w++){ctx.beginPath();ctx.arc(x+bw/2,y(o.runs)-6-w*9,3.5,0,7);ctx.fill();}
+    }));
+  }
+}
+
+function addLog(txt,cls){
+  const lb=document.getElementById('lb');
+  const e=document.createElement('div');e.className='le '+cls;e.textContent=txt;
+  lb.prepend(e);while(lb.children.length>20)lb.removeChild(lb.lastChild);
+}
+
+if(urlRoom)document.getElementById('codeIn').value=urlRoom;
+// Replays are rebuilt by the server from the match's event log; each frame is
+// rendered exactly like a spectator's state message
+function loadReplay(id){
+  fetch('/replays/'+id+'.json').then(r=>r.ok?r.json():Promise.reject()).then(data=>{
+    rp=data;joined=true;mySlot=-1;mySide=-1;
+    document.getElementById('lobby').style.display='none';
+    document.getElementById('game').style.display='block';
+    document.getElementById('game').classList.add('replay');
+    document.getElementById('cdot').classList.add('on');
+    document.getElementById('clbl').textContent='🎬 Replay: '+rp.players.join(' v ');
+    document.getElementById('rlbl').textContent='·';
+    document.getElementById('rcode').textContent=rp.finished.slice(0,10);
+    document.getElementById('rpSeek').max=rp.frames.length-1;
+    seekReplay(0);
+  }).catch(()=>{document.getElementById('lst').textContent='That replay could not be found';});
+}
+function seekReplay(i){
+  rpIdx=Math.max(0,Math.min(rp.frames.length-1,i));
+  const f=rp.frames[rpIdx];
+  document.getElementById('rpSeek').value=rpIdx;
+  document.getElementById('rpPos').textContent='Ball '+f.played+' / '+rp.history.length;
+  if(rpIdx===rp.frames.length-1)stopReplay();
+  renderGame({type:'state',slot:-1,room:{spectators:0},game:{...f,history:rp.history.slice(0,f.played)}});
+}
+function toggleReplay(){
+  if(rpTimer){stopReplay();return;}
+  if(rpIdx===rp.frames.length-1)seekReplay(0);
+  rpTimer=setInterval(()=>seekReplay(rpIdx+1),1500);
+  document.getElementById('rpPlay').textContent='⏸';
+}
+function stopReplay(){
+  clearInterval(rpTimer);rpTimer=null;
+  document.getElementById('rpPlay').textContent='▶';
+}
+
+if(replayId)loadReplay(replayId);
+else connect();
+
+// Only on localhost or https: browsers keep service workers off plain-http LAN addresses
+if('serviceWorker' in navigator)navigator.serviceWorker.register('/sw.js').catch(()=>{});
@@ -0,0 +1,51 @@
+// Keeps the app shell on the phone so Cricket Clash opens instantly, and
+// refreshes it in the background whenever the server is reachable. Live
+// data (scorecards, replays, QR codes, the other pages) always comes from
+// the server. The server fills in the cache's version from the content of
+// the other files, so it is replaced whenever any of them changes.
+const CACHE = 'cricket-clash-{{VERSION}}';
+const SHELL = [
+  '/',
+  '/app.css',
+  '/app.js',
+  '/fonts.css',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/fonts/playfair-display-latin-700-normal.woff2',
+  '/fonts/playfair-display-latin-900-normal.woff2',
+  '/fonts/rajdhani-latin-400-normal.woff2',
+  '/fonts/rajdhani-latin-600-normal.woff2',
+  '/fonts/rajdhani-latin-700-normal.woff2',
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Stale-while-revalidate for the shell; the page reads ?room= and ?replay=
+// itself, so every navigation to / is answered with the same cached page
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin || !SHELL.includes(url.pathname)) return;
+
+  event.respondWith(caches.open(CACHE).then(async cache => {
+    const cached = await cache.match(url.pathname);
+    const fresh  = fetch(url.pathname).then(res => {
+      if (res.ok) cache.put(url.pathname, res.clone());
+      return res;
+    });
+    if (!cached) return fresh;
+    event.waitUntil(fresh.catch(() => {}));
+    return cached;
+  }));
+});
@@ -0,0 +1,91 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const os     = require('node:os');
+const path   = require('node:path');
+const { DEFAULTS, loadConfig, reachableAddresses } = require('../config');
+
+const dir     = fs.mkdtempSync(path.join(os.tmpdir(), 'cricket-config-'));
+const missing = path.join(dir, 'none.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function saved(options) {
+  const file = path.join(dir, 'options-' + Math.random().toString(36).slice(2) + '.json');
+  fs.writeFileSync(file, typeof options === 'string' ? options : JSON.stringify(options));
+  return file;
+}
+
+const NETS = {
+  lo:      [{ family: 'IPv4', address: '127.0.0.1', internal: true }],
+  docker0: [{ family: 'IPv4', address: '172.17.0.1', internal: false }],
+  wlan0:   [{ family: 'IPv6', address: 'fe80::1', internal: false }, { family: 'IPv4', address: '192.168.1.20', internal: false }],
+};
+
+test('with no file and no flags the defaults apply', () => {
+  const config = loadConfig([], missing);
+  assert.deepEqual(config, { ...DEFAULTS, file: null });
+});
+
+test('flags override the config file, which overrides the defaults', () => {
+  const file   = saved({ port: 8080, reconnectSeconds: 60, match: { format: 't10', pickSeconds: 20 } });
+  const config = loadConfig(['--port=9090', '--pick-seconds', '10', '--super-over', '--admin-password', 'umpire'], file);
+  assert.equal(config.file, file);
+  assert.equal(config.port, 9090);
+  assert.equal(config.adminPassword, 'umpire');
+  assert.equal(config.reconnectSeconds, 60);
+  assert.equal(config.revealSeconds, DEFAULTS.revealSeconds);
+  assert.deepEqual(config.match, { format: 't10', pickSeconds: 10, superOver: true });
+});
+
+test('--config names the file, and --format takes OVERSxWICKETS', () => {
+  const file   = saved({ host: '127.0.0.1' });
+  const config = loadConfig(['--config', file, '--format', '8x6'], missing);
+  assert.equal(config.host, '127.0.0.1');
+  assert.deepEqual(config.match.format, { overs: 8, wickets: 6 });
+});
+
+test('the config file can change the matchup table, and --matchups keeps it', () => {
+  const file   = saved({ match: { matchups: { 'Sweep,Spinner': { wicket: 0.5 } } } });
+  const config = loadConfig(['--matchups'], file);
+  assert.deepEqual(config.match.matchups, { 'Sweep,Spinner': { wicket: 0.5 } });
+  assert.throws(() => loadConfig([], saved({ match: { matchups: { 'Sweep,Spinner': { wicket: 2 } } } })), /match.matchups should map/);
+});
+
+test('--help asks for the usage and nothing else', () => {
+  assert.deepEqual(loadConfig(['--port', '1', '--help'], missing), { help: true });
+});
+
+test('mistakes are reported rather than ignored', () => {
+  assert.throws(() => loadConfig(['--colour'], missing), /Unknown option --colour/);
+  assert.throws(() => loadConfig(['--port'], missing), /--port needs a value/);
+  assert.throws(() => loadConfig(['--matchups=yes'], missing), /takes no value/);
+  assert.throws(() => loadConfig(['--port', '70000'], missing), /port must be/);
+  assert.throws(() => loadConfig(['--port', 'http'], missing), /port must be/);
+  assert.throws(() => loadConfig(['--format', '60x2'], missing), /not a valid format/);
+  assert.throws(() => loadConfig(['--rules', 'backyard'], missing), /not a valid format/);
+  assert.throws(() => loadConfig(['--config', missing], missing), /Could not read/);
+  assert.throws(() => loadConfig([], saved('{ "port": ')), /Could not read/);
+  assert.throws(() => loadConfig([], saved({ prot: 3000 })), /unknown option "prot"/);
+  assert.throws(() => loadConfig([], saved({ adminPassword: '' })), /adminPassword must be/);
+  assert.throws(() => loadConfig([], saved({ match: { overs: 3 } })), /unknown match option "overs"/);
+});
+
+test('every LAN address is reachable, loopback only when there is nothing else', () => {
+  assert.deepEqual(reachableAddresses(DEFAULTS, NETS), [
+    { name: 'docker0', address: '172.17.0.1' },
+    { name: 'wlan0',   address: '192.168.1.20' },
+  ]);
+  assert.deepEqual(reachableAddresses(DEFAULTS, { lo: NETS.lo }), [{ name: null, address: '127.0.0.1' }]);
+});
+
+test('the chosen interface comes first, by name or by address', () => {
+  const first = [{ name: 'wlan0', address: '192.168.1.20' }, { name: 'docker0', address: '172.17.0.1' }];
+  assert.deepEqual(reachableAddresses({ ...DEFAULTS, interface: 'wlan0' }, NETS), first);
+  assert.deepEqual(reachableAddresses({ ...DEFAULTS, interface: '192.168.1.20' }, NETS), first);
+  assert.throws(() => reachableAddresses({ ...DEFAULTS, interface: 'eth0' }, NETS), /No network interface eth0 — found docker0/);
+});
+
+test('a server bound to one address is only reachable there', () => {
+  assert.deepEqual(reachableAddresses({ ...DEFAULTS, host: '192.168.1.20' }, NETS), [{ name: 'wlan0', address: '192.168.1.20' }]);
+  assert.deepEqual(reachableAddresses({ ...DEFAULTS, host: '127.0.0.1' }, NETS), [{ name: 'lo', address: '127.0.0.1' }]);
+});
@@ -0,0 +1,416 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { activePlayers, applyAction, inningsLimits, matchInsights, newGame, parseFormat, playerFigures } = require('../engine');
+
+// Applies actions in order and collects every event they produce
+function run(state, actions) {
+  const events = [];
+  for (const action of actions) {
+    const next = applyAction(state, action);
+    state = next.state;
+    events.push(...next.events);
+  }
+  return { state, events };
+}
+
+// A started Super Quick match (1 over, 2 wickets) between Ann and Bob,
+// with the toss settled so that Ann bats first
+function started(options, seed = 1) {
+  const { state } = run(newGame(parseFormat('quick', options), seed), [
+    { type: 'start', names: ['Ann', 'Bob'] },
+    { type: 'tossCall', slot: 1, call: 'heads' },
+  ]);
+  const winner = state.toss.winner;
+  return applyAction(state, { type: 'tossChoice', slot: winner, choice: winner === 0 ? 'bat' : 'bowl' }).state;
+}
+
+// n identical deliveries, moving on after each one that leaves a result showing
+function balls(state, shot, delivery, n = 1) {
+  const events = [];
+  for (let i = 0; i < n; i++) {
+    const bat  = state.batting;
+    const next = run(state, [{ type: 'pick', slot: bat, pick: shot }, { type: 'pick', slot: 1 - bat, pick: delivery }]);
+    state = next.state;
+    events.push(...next.events);
+    if (state.phase !== 'result') continue;
+    const moved = applyAction(state, { type: 'nextBall' });
+    state = moved.state;
+    events.push(...moved.events);
+  }
+  return { state, events };
+}
+
+const types = events => events.map(e => e.type);
+
+test('the toss winner chooses who bats first', () => {
+  let { state } = run(newGame(parseFormat('quick'), 1), [{ type: 'start' }]);
+  assert.equal(state.phase, 'toss');
+  assert.equal(applyAction(state, { type: 'pick', slot: 0, pick: 1 }).state, state);
+  assert.equal(applyAction(state, { type: 'tossCall', slot: 0, call: 'heads' }).state, state);
+  assert.equal(applyAction(state, { type: 'tossCall', slot: 1, call: 'edge' }).state, state);
+
+  let events;
+  ({ state, events } = run(state, [{ type: 'tossCall', slot: 1, call: 'tails' }]));
+  const { coin, winner } = state.toss;
+  assert.equal(winner, coin === 'tails' ? 1 : 0);
+  assert.deepEqual(events, [{ type: 'toss', toss: { caller: 1, call: 'tails', coin, winner, choice: null } }]);
+  assert.equal(state.phase, 'toss');
+  assert.equal(applyAction(state, { type: 'tossCall', slot: 1, call: 'heads' }).state, state);
+  assert.equal(applyAction(state, { type: 'tossChoice', slot: 1 - winner, choice: 'bat' }).state, state);
+
+  ({ state, events } = run(state, [{ type: 'tossChoice', slot: winner, choice: 'bowl' }]));
+  assert.equal(state.phase, 'picking');
+  assert.equal(state.batting, 1 - winner);
+  assert.equal(events[0].toss.choice, 'bowl');
+});
+
+test('the coin comes from the seed and lands both ways about equally', () => {
+  const flip = seed => run(newGame(parseFormat('quick'), seed), [{ type: 'start' }, { type: 'tossCall', slot: 1, call: 'heads' }]).state.toss.coin;
+  let heads = 0;
+  for (let seed = 0; seed < 1000; seed++) if (flip(seed) === 'heads') heads++;
+  assert.ok(heads > 450 && heads < 550, heads + ' heads');
+  assert.equal(flip(42), flip(42));
+});
+
+test('a ball is bowled once both sides have picked', () => {
+  let { state, events } = run(started(), [{ type: 'pick', slot: 0, pick: 5 }]);
+  assert.equal(state.phase, 'picking');
+  assert.deepEqual(events, []);
+
+  ({ state, events } = run(state, [{ type: 'pick', slot: 1, pick: 0 }]));
+  assert.equal(state.phase, 'result');
+  assert.deepEqual(types(events), ['delivery']);
+  assert.equal(state.scores[0], 6);
+  assert.equal(state.balls, 1);
+  assert.equal(events[0].ball.runs, 6);
+  assert.match(events[0].ball.commentary, /Ann/);
+});
+
+test('the innings changes after the last legal ball and sets the target', () => {
+  const { state, events } = balls(started(), 1, 0, 6);
+  assert.deepEqual(events.filter(e => e.type === 'inningsChange'), [{ type: 'inningsChange', innings: 2, batting: 1, target: 12 }]);
+  assert.equal(state.phase, 'picking');
+  assert.equal(state.balls, 0);
+  assert.equal(state.target, 12);
+});
+
+test('all out ends the innings before the overs run out', () => {
+  const { state, events } = balls(started(), 3, 3, 2);
+  assert.equal(state.innings, 2);
+  assert.equal(state.target, 0);
+  assert.deepEqual(types(events), ['delivery', 'delivery', 'inningsChange']);
+});
+
+test('chasing past the target wins at once, by the wickets in hand', () => {
+  let { state } = balls(started(), 2, 0, 6); // 18 to win
+  ({ state } = balls(state, 5, 0, 3)); // 18: level, not past it
+  assert.equal(state.phase, 'picking');
+  assert.equal(state.scores[1], 18);
+
+  const out = balls(state, 3, 3);
+  assert.equal(out.state.phase, 'picking');
+  assert.deepEqual(types(out.events), ['delivery']);
+
+  const last = balls(out.state, 0, 3);
+  assert.equal(last.state.phase, 'gameover');
+  assert.deepEqual(last.state.result, { winner: 1, method: 'wickets', margin: 1 });
+  assert.deepEqual(types(last.events), ['delivery', 'gameOver']);
+  assert.equal(last.state.lastResult.runs, 1);
+});
+
+test('the side batting first wins by runs when the chase falls short', () => {
+  let { state } = balls(started(), 5, 0, 6); // 36
+  ({ state } = balls(state, 5, 0, 5)); // 30 off 5
+  const { state: over, events } = balls(state, 4, 5); // 35 off the last ball
+  assert.deepEqual(over.result, { winner: 0, method: 'runs', margin: 1 });
+  assert.deepEqual(types(events).slice(-1), ['gameOver']);
+});
+
+test('a tie is shared when Super Overs and tie-breaks are off', () => {
+  let { state } = balls(started(), 0, 1, 6);
+  ({ state } = balls(state, 0, 1, 6));
+  assert.equal(state.phase, 'gameover');
+  assert.deepEqual(state.result, { winner: null, method: 'tie' });
+});
+
+test('the boundaries tie-break goes to the side that hit more fours and sixes', () => {
+  let { state } = balls(started({ tieBreak: 'boundaries' }), 5, 0, 2); // 12 in sixes
+  ({ state } = balls(state, 3, 3, 2)); // all out
+  ({ state } = balls(state, 2, 0, 4)); // 12 in threes
+  ({ state } = balls(state, 3, 3, 2));
+  assert.deepEqual(state.result, { winner: 0, method: 'boundaries', boundaries: [2, 0] });
+});
+
+test('a tie goes to a Super Over, batting first the side that batted last', () => {
+  let { state } = balls(started({ superOver: true }), 0, 1, 6);
+  const tied = balls(state, 0, 1, 6);
+  state = tied.state;
+  assert.deepEqual(tied.events.filter(e => e.type === 'superOver'), [{ type: 'superOver', superOver: 1 }]);
+  assert.equal(state.phase, 'picking');
+  assert.equal(state.innings, 3);
+  assert.equal(state.batting, 1);
+  assert.deepEqual(state.scores, [0, 0]);
+  assert.equal(state.target, null);
+
+  ({ state } = balls(state, 5, 0, 1)); // Bob 6
+  ({ state } = balls(state, 3, 3, 2)); // all out at the Super Over's 2 wickets
+  ({ state } = balls(state, 1, 0, 3)); // Ann needs 7 and has 6
+  const { state: done } = balls(state, 0, 1);
+  assert.deepEqual(done.result, { winner: 0, method: 'wickets', margin: 2, superOver: 1 });
+});
+
+test('restart keeps the names and format but starts a fresh match', () => {
+  let { state } = balls(started(), 0, 1, 12);
+  assert.equal(state.phase, 'gameover');
+  state = { ...state, seats: ['a', 'b'] };
+
+  ({ state } = run(state, [{ type: 'restart', seed: 7 }]));
+  assert.equal(state.phase, 'waiting');
+  assert.deepEqual(state.names, ['Ann', 'Bob']);
+  assert.equal(state.format.key, 'quick');
+  assert.equal(state.seed, 7);
+  assert.deepEqual(state.scores, [0, 0]);
+  assert.deepEqual(state.history, []);
+  assert.equal(state.result, null);
+  assert.deepEqual(state.seats, ['a', 'b']);
+
+  assert.deepEqual(state.toss, { caller: 1, call: null, coin: null, winner: null, choice: null });
+
+  ({ state } = run(state, [{ type: 'start' }]));
+  assert.equal(state.phase, 'toss');
+});
+
+test('restart can change the format for the next match, but not to or from teams', () => {
+  const { state: done } = balls(started(), 0, 1, 12);
+  const { state } = run(done, [{ type: 'restart', seed: 7, format: parseFormat('t10', { rules: 'realistic' }) }]);
+  assert.equal(state.format.key, 't10');
+  assert.equal(state.format.rules, 'realistic');
+  assert.deepEqual(state.names, ['Ann', 'Bob']);
+  assert.equal(applyAction(done, { type: 'restart', format: parseFormat('t10', { teams: true }) }).state, done);
+});
+
+test('actions that do not apply return the same state and no events', () => {
+  const game = started();
+  for (const action of [
+    { type: 'nextBall' },
+    { type: 'pick', slot: 2, pick: 0 },
+    { type: 'pick', slot: 0, pick: 6 },
+    { type: 'start' },
+    { type: 'fly' },
+    { type: 'toString' },
+  ]) {
+    const { state, events } = applyAction(game, action);
+    assert.equal(state, game, action.type);
+    assert.deepEqual(events, []);
+  }
+  const picked = applyAction(game, { type: 'pick', slot: 0, pick: 1 }).state;
+  assert.equal(applyAction(picked, { type: 'pick', slot: 0, pick: 2 }).state, picked);
+});
+
+test('pause waits for the next start, then carries on where it left off', () => {
+  let { state } = run(started(), [{ type: 'pick', slot: 0, pick: 1 }, { type: 'pick', slot: 1, pick: 0 }, { type: 'pause' }]);
+  assert.equal(state.phase, 'waiting');
+  assert.equal(applyAction(state, { type: 'pick', slot: 0, pick: 1 }).state, state);
+  ({ state } = run(state, [{ type: 'start' }]));
+  assert.equal(state.phase, 'result');
+  ({ state } = run(state, [{ type: 'nextBall' }]));
+  assert.equal(state.phase, 'picking');
+});
+
+test('a penalty timeout is a wide on a missing bowler and a dot on a missing batter', () => {
+  let { state, events } = run(started({ onTimeout: 'penalty' }), [{ type: 'pick', slot: 0, pick: 5 }, { type: 'timeout' }]);
+  assert.equal(events[0].ball.type, 'wide');
+  assert.deepEqual(events[0].ball.timeout, [1]);
+  assert.equal(state.scores[0], 1);
+  assert.equal(state.balls, 0);
+
+  ({ state, events } = run(state, [{ type: 'nextBall' }, { type: 'pick', slot: 1, pick: 2 }, { type: 'timeout' }]));
+  assert.equal(events[0].ball.type, 'dot');
+  assert.equal(state.balls, 1);
+});
+
+test('a side locked in when the clock runs out is not timed out', () => {
+  // Penalty: only the batter is late, so it's a dot ball rather than a wide on the bowler
+  let { state, events } = run(started({ onTimeout: 'penalty' }), [{ type: 'timeout', locked: [1] }]);
+  assert.equal(events[0].ball.type, 'dot');
+  assert.deepEqual(events[0].ball.timeout, [0]);
+  assert.equal(run(state, [{ type: 'nextBall' }, { type: 'timeout', locked: [0] }]).events[0].ball.type, 'wide');
+
+  // Random: the late batter gets a random shot, and the ball waits for the bowler's own pick
+  ({ state, events } = run(started({ onTimeout: 'random' }), [{ type: 'timeout', locked: [1] }]));
+  assert.deepEqual(events, []);
+  assert.equal(state.phase, 'picking');
+  assert.equal(state.picks[1], null);
+  assert.equal(applyAction(state, { type: 'timeout', locked: [1] }).state, state);
+  ({ state, events } = run(state, [{ type: 'pick', slot: 1, pick: 4 }]));
+  assert.equal(events[0].ball.bowlPick, 4);
+  assert.deepEqual(events[0].ball.timeout, [0]);
+  assert.equal(state.timedOut, null);
+});
+
+test('a custom matchup table changes what a pairing does', () => {
+  const sweep = matchups => balls(started({ matchups }), 3, 2).events[0].ball; // Sweep vs Spinner
+  assert.equal(sweep(false).runs, 4);
+  assert.deepEqual([sweep({ 'Sweep,Spinner': { wicket: 1 } }).type, sweep({ '3,2': { wicket: 1 } }).matchup], ['wicket', 'wicket']);
+  assert.deepEqual([sweep({ 'sweep, spinner': { bonus: 1 } }).runs, sweep({ '3,2': null }).runs], [6, 4]);
+  assert.deepEqual(parseFormat('quick', { matchups: { 'Drive,Full': null } }).matchups['1,4'], undefined);
+  assert.deepEqual(parseFormat('quick', { matchups: { 'Drive,Full': null } }).matchups['3,2'], { wicket: 0.25, reduced: 0.25 });
+
+  for (const bad of [{ 'Sweep': {} }, { 'Sweep,Googly': {} }, { '6,0': {} }, { '3,2': { wicket: 0.6, bonus: 0.6 } },
+    { '3,2': { wicket: -0.1 } }, { '3,2': { runs: 1 } }, { '3,2': 0.5 }, ['3,2'], 'on']) {
+    assert.equal(parseFormat('quick', { matchups: bad }), null, JSON.stringify(bad));
+  }
+});
+
+test('applyAction leaves its input untouched', () => {
+  const game   = started({ matchups: true });
+  const before = structuredClone(game);
+  run(game, [{ type: 'pick', slot: 0, pick: 3 }, { type: 'pick', slot: 1, pick: 2 }, { type: 'nextBall' }]);
+  applyAction(game, { type: 'timeout' });
+  applyAction(game, { type: 'restart', seed: 3 });
+  assert.deepEqual(game, before);
+});
+
+test('the same seed and actions always play the same match', () => {
+  const actions = [];
+  for (let i = 0; i < 30; i++) {
+    actions.push({ type: 'pick', slot: i % 2, pick: (i * 5) % 6 }, { type: 'timeout' }, { type: 'nextBall' });
+  }
+  const play = () => run(started({ matchups: true, rules: 'realistic' }, 12345), actions).state;
+  const a = play();
+  assert.deepEqual(play(), a);
+  assert.ok(a.history.length > 6);
+  assert.ok(a.history.some(b => b.timeout));
+});
+
+test('match insights map picks against each other and measure how predictable each side was', () => {
+  let { state } = balls(started(), 5, 0, 3); // Ann 18 off three sixes
+  ({ state } = balls(state, 2, 2)); // out
+  ({ state } = balls(state, 1, 2)); // 2 more
+  ({ state } = balls(state, 3, 3)); // all out for 20
+  ({ state } = balls(state, 0, 0, 2)); // Bob all out for 0
+  assert.equal(state.phase, 'gameover');
+
+  const insights = matchInsights(state);
+  assert.deepEqual(insights.innings.map(i => [i.innings, i.batter]), [[1, 0], [2, 1]]);
+  assert.deepEqual(insights.innings[0].grid[5][0], { balls: 3, runs: 18, wickets: 0 });
+  assert.deepEqual(insights.innings[0].grid[2][2], { balls: 1, runs: 0, wickets: 1 });
+  assert.deepEqual(insights.innings[1].grid[0][0], { balls: 2, runs: 0, wickets: 2 });
+  assert.deepEqual(insights.players, [
+    { shots: [0, 1, 1, 1, 0, 3], deliveries: [2, 0, 0, 0, 0, 0], batting: 31, bowling: 100 },
+    { shots: [2, 0, 0, 0, 0, 0], deliveries: [3, 0, 2, 1, 0, 0], batting: 100, bowling: 44 },
+  ]);
+  assert.deepEqual(insights.streaks, [
+    { side: 0, role: 'bat', pick: 5, length: 3, innings: 1, over: 0, ball: 1 },
+    { side: 1, role: 'bowl', pick: 0, length: 3, innings: 1, over: 0, ball: 1 },
+  ]);
+  assert.deepEqual(insights.wickets, [
+    { bowler: 0, delivery: 0, wickets: 2 },
+    { bowler: 1, delivery: 2, wickets: 1 },
+    { bowler: 1, delivery: 3, wickets: 1 },
+  ]);
+});
+
+test('picks the shot clock made are not counted as anyone\'s choice', () => {
+  const { state } = run(started({ onTimeout: 'random' }), [{ type: 'pick', slot: 0, pick: 4 }, { type: 'timeout' }]);
+  const { innings, players } = matchInsights(state);
+  assert.equal(innings[0].grid[4].reduce((n, cell) => n + cell.balls, 0), 1);
+  assert.deepEqual(players[0].shots, [0, 0, 0, 0, 1, 0]);
+  assert.deepEqual(players[1].deliveries, [0, 0, 0, 0, 0, 0]);
+  assert.equal(players[1].bowling, null);
+});
+
+// A team match, 3 overs and 3 wickets, with Ann's side batting first
+function teamMatch(teams = [['Ann', 'Cat', 'Eve'], ['Bob', 'Dan']], overs = 3) {
+  const { state } = run(newGame(parseFormat({ overs, wickets: 3 }, { teams: true }), 1), [
+    { type: 'setTeam', slot: 0, players: teams[0] },
+    { type: 'setTeam', slot: 1, players: teams[1] },
+    { type: 'start', names: ["Ann's XI", "Bob's XI"] },
+    { type: 'tossCall', slot: 1, call: 'heads' },
+  ]);
+  const winner = state.toss.winner;
+  return applyAction(state, { type: 'tossChoice', slot: winner, choice: winner === 0 ? 'bat' : 'bowl' }).state;
+}
+
+test('a team match waits for two players a side and fixes the line-ups at the toss', () => {
+  const game = newGame(parseFormat('quick', { teams: true }));
+  assert.deepEqual(game.teams, [[], []]);
+  let { state } = run(game, [{ type: 'setTeam', slot: 0, players: ['Ann'] }]);
+  assert.equal(applyAction(state, { type: 'start' }).state, state);
+  ({ state } = run(state, [{ type: 'setTeam', slot: 1, players: ['Bob', 'Dan'] }]));
+  assert.equal(applyAction(state, { type: 'start' }).state, state);
+  assert.equal(run(state, [{ type: 'setTeam', slot: 0, players: ['Ann', 'Cat'] }, { type: 'start' }]).state.phase, 'toss');
+  assert.equal(applyAction(state, { type: 'setTeam', slot: 1, players: [''] }).state, state);
+  assert.equal(applyAction(state, { type: 'setTeam', slot: 1, players: new Array(12).fill('X') }).state, state);
+  assert.equal(applyAction(newGame(), { type: 'setTeam', slot: 0, players: ['Ann'] }).events.length, 0);
+
+  const teams = teamMatch();
+  assert.equal(applyAction(teams, { type: 'setTeam', slot: 0, players: ['Zed'] }).state, teams);
+});
+
+test('each wicket brings in the next batter until the last is left without a partner', () => {
+  let { state, events } = balls(teamMatch(), 3, 3);
+  assert.deepEqual(activePlayers(state), [1, 1]);
+  assert.equal(events[0].ball.striker, 0);
+  assert.match(events[0].ball.commentary, /Ann/);
+  assert.match(events[0].ball.commentary, /In comes Cat\./);
+
+  // Three wickets allowed, but Eve has nobody to bat with once Cat is out
+  ({ state, events } = balls(state, 3, 3));
+  assert.equal(events[0].ball.striker, 1);
+  assert.match(events[0].ball.commentary, /all out/);
+  assert.doesNotMatch(events[0].ball.commentary, /In comes/);
+  assert.equal(state.innings, 2);
+  assert.deepEqual(state.wickets, [2, 0]);
+
+  state = teamMatch([['Ann', 'Cat'], ['Bob', 'Dan']]);
+  assert.equal(inningsLimits(state).wickets, 1);
+  ({ state } = balls(state, 3, 3));
+  assert.equal(state.innings, 2);
+});
+
+test('two bowlers share the ends until one has bowled their share', () => {
+  const bowlers = (teams, overs) => {
+    const { state } = balls(teamMatch(teams, overs), 0, 1, overs * 6);
+    const spell = [];
+    for (const b of state.history) if (b.innings === 1) spell[b.over] = state.teams[1][b.bowledBy];
+    return spell;
+  };
+  assert.deepEqual(bowlers([['Ann', 'Cat'], ['Bob', 'Dan']], 5), ['Dan', 'Bob', 'Dan', 'Bob', 'Dan']);
+  // Five bowlers at most, so a fifth of the overs each: 2 of 10
+  assert.deepEqual(bowlers([['Ann', 'Cat'], ['B1', 'B2', 'B3', 'B4', 'B5', 'B6']], 10),
+    ['B6', 'B5', 'B6', 'B5', 'B4', 'B3', 'B4', 'B3', 'B2', 'B1']);
+});
+
+test('the bowler changes at the end of an over, not on a wide that starts the next', () => {
+  let { state } = balls(teamMatch(), 0, 1, 6);
+  assert.equal(state.bowler, 0);
+  const game = { ...state, format: { ...state.format, rules: 'realistic' } };
+  ({ state } = balls(game, 0, 1)); // Defensive vs Bouncer is a wide
+  assert.equal(state.history[state.history.length - 1].type, 'wide');
+  assert.equal(state.bowler, 0);
+});
+
+test('the new innings opens with the other side bowling from the bottom of its order', () => {
+  const { state } = balls(teamMatch(), 3, 3, 2);
+  assert.equal(state.innings, 2);
+  assert.equal(state.batting, 1);
+  assert.deepEqual(activePlayers(state), [2, 0]);
+});
+
+test('player figures add up each batter and bowler', () => {
+  let { state } = balls(teamMatch(), 5, 0, 2); // Ann 12 off Dan
+  ({ state } = balls(state, 3, 3)); // Ann out
+  ({ state } = balls(state, 3, 1, 4)); // Cat 16 to end the over, then Bob bowls
+  const [bat, bowl] = playerFigures(state);
+  assert.deepEqual(bat.map(p => [p.name, p.runs, p.balls, p.sixes, p.fours, p.outs]),
+    [['Ann', 12, 3, 2, 0, 1], ['Cat', 16, 4, 0, 4, 0], ['Eve', 0, 0, 0, 0, 0]]);
+  assert.deepEqual(bowl.map(p => [p.name, p.bowled, p.conceded, p.wickets]), [['Bob', 1, 4, 0], ['Dan', 6, 24, 1]]);
+  assert.equal(playerFigures(started()), null);
+});
+
+test('restart keeps the line-ups', () => {
+  const { state } = run(teamMatch(), [{ type: 'restart', seed: 2 }]);
+  assert.deepEqual(state.teams, [['Ann', 'Cat', 'Eve'], ['Bob', 'Dan']]);
+  assert.equal(state.bowler, null);
+});
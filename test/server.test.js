@@ -0,0 +1,49 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('node:http');
+const path   = require('node:path');
+const { spawn } = require('node:child_process');
+
+const SERVER = path.join(__dirname, '..', 'cricket-lan-server1.js');
+
+// Starts the server on a free port near a random one; resolves with { port, child }
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const first = 20000 + Math.floor(Math.random() * 30000);
+    const child = spawn(process.execPath, [SERVER, '--port', String(first), '--host', '127.0.0.1'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let out = '';
+    child.stdout.on('data', chunk => {
+      out += chunk;
+      const local = out.match(/Local:\s+http:\/\/localhost:(\d+)/);
+      if (local) resolve({ port: Number(local[1]), child });
+    });
+    child.on('exit', code => reject(new Error('Server exited with ' + code + ': ' + out)));
+  });
+}
+
+function get(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('a Host header too long for a QR code does not take the server down', async t => {
+  const { port, child } = await startServer();
+  t.after(() => child.kill());
+
+  for (const ext of ['svg', 'png', 'json']) {
+    const res = await get(port, '/qr.' + ext, { Host: 'a'.repeat(2500) });
+    assert.ok(res.status === 200 || res.status === 400, ext + ' answered ' + res.status);
+    assert.ok(!res.body.includes('a'.repeat(300)), 'the bogus host is not used for the join link');
+  }
+  const json = await get(port, '/qr.json', { Host: 'a'.repeat(2500) + ':80' });
+  assert.equal(new URL(JSON.parse(json.body).url).port, String(port));
+
+  assert.equal(child.exitCode, null);
+  assert.equal((await get(port, '/qr.json?room=ABCD', { Host: 'cricket.local:' + port })).status, 200);
+});
@@ -0,0 +1,261 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const ws = require('../websocket');
+
+const { OPCODES, CLOSE_CODES } = ws;
+const KEY = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+
+// A client → server frame, masked unless told otherwise
+function frame(opcode, payload = '', { fin = true, mask = true, rsv = 0, length } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const len  = length === undefined ? data.length : length;
+  const b0   = (fin ? 0x80 : 0) | rsv | opcode;
+  const m    = mask ? 0x80 : 0;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([b0, m | len]);
+  } else if (len < 65536) {
+    header = Buffer.from([b0, m | 126, 0, 0]);
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = b0;
+    header[1] = m | 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  if (!mask) return Buffer.concat([header, data]);
+  const body = Buffer.from(data.map((b, i) => b ^ KEY[i % 4]));
+  return Buffer.concat([header, KEY, body]);
+}
+
+function closeBody(code, reason = '') {
+  const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+  body.writeUInt16BE(code, 0);
+  body.write(reason, 2);
+  return body;
+}
+
+// Decode one unmasked server frame
+function decode(buf) {
+  let len = buf[1] & 0x7f, start = 2;
+  if (len === 126) { len = buf.readUInt16BE(2); start = 4; }
+  if (len === 127) { len = Number(buf.readBigUInt64BE(2)); start = 10; }
+  return { fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0f, data: buf.subarray(start, start + len) };
+}
+
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.written   = [];
+  socket.ended     = false;
+  socket.destroyed = false;
+  socket.write   = chunk => { socket.written.push(Buffer.from(chunk)); return true; };
+  socket.end     = chunk => {
+    if (chunk) socket.write(chunk);
+    socket.ended = true;
+    setImmediate(() => socket.destroy()); // a real socket closes once both sides have ended
+  };
+  socket.destroy = () => {
+    if (socket.destroyed) return;
+    socket.destroyed = true;
+    socket.emit('close');
+  };
+  socket.frames = () => socket.written.slice(1).map(decode); // skip the 101 response
+  return socket;
+}
+
+const upgrade = (headers = {}) => ({
+  headers: {
+    upgrade:                 'websocket',
+    'sec-websocket-key':     'dGhlIHNhbXBsZSBub25jZQ==',
+    'sec-websocket-version': '13',
+    ...headers,
+  },
+});
+
+function open(opts = {}) {
+  const socket   = fakeSocket();
+  const messages = [];
+  const closes   = [];
+  const conn = ws.accept(upgrade(), socket, {
+    onMessage: (data, binary) => messages.push({ data, binary }),
+    onClose:   (code, reason) => closes.push({ code, reason }),
+    ...opts,
+  });
+  return { socket, conn, messages, closes };
+}
+
+test('accept key matches the RFC 6455 example', () => {
+  assert.equal(ws.acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('encodeFrame picks the 7-bit, 16-bit and 64-bit length forms', () => {
+  assert.deepEqual([...ws.encodeFrame(OPCODES.TEXT, 'Hello')], [0x81, 0x05, 0x48, 0x65, 0x6c, 0x6c, 0x6f]);
+  const mid = ws.encodeFrame(OPCODES.BINARY, Buffer.alloc(256));
+  assert.deepEqual([...mid.subarray(0, 4)], [0x82, 126, 0x01, 0x00]);
+  const big = ws.encodeFrame(OPCODES.BINARY, Buffer.alloc(65536));
+  assert.equal(big[1], 127);
+  assert.equal(big.readBigUInt64BE(2), 65536n);
+  assert.equal(ws.encodeFrame(OPCODES.TEXT, 'x', false)[0], 0x01);
+});
+
+test('parseFrames unmasks the RFC 6455 "Hello" example', () => {
+  const buf = Buffer.from([0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+  const { frames, remaining, error } = ws.parseFrames(buf);
+  assert.equal(error, null);
+  assert.equal(remaining.length, 0);
+  assert.deepEqual(frames.map(f => [f.fin, f.opcode, f.data.toString()]), [[true, OPCODES.TEXT, 'Hello']]);
+});
+
+test('parseFrames keeps incomplete frames for the next chunk', () => {
+  const whole = Buffer.concat([frame(OPCODES.TEXT, 'one'), frame(OPCODES.TEXT, 'x'.repeat(300))]);
+  for (const cut of [1, 5, 9, 12, 14, whole.length - 1]) {
+    const first = ws.parseFrames(whole.subarray(0, cut));
+    const rest  = ws.parseFrames(Buffer.concat([first.remaining, whole.subarray(cut)]));
+    const texts = [...first.frames, ...rest.frames].map(f => f.data.toString());
+    assert.deepEqual(texts, ['one', 'x'.repeat(300)], 'cut at ' + cut);
+  }
+});
+
+test('parseFrames rejects protocol violations with the right close code', () => {
+  const cases = [
+    [frame(OPCODES.TEXT, 'hi', { mask: false }),     CLOSE_CODES.PROTOCOL_ERROR],
+    [frame(OPCODES.TEXT, 'hi', { rsv: 0x40 }),       CLOSE_CODES.PROTOCOL_ERROR],
+    [frame(0x3, 'hi'),                               CLOSE_CODES.PROTOCOL_ERROR],
+    [frame(OPCODES.PING, 'hi', { fin: false }),      CLOSE_CODES.PROTOCOL_ERROR],
+    [frame(OPCODES.PING, Buffer.alloc(126)),         CLOSE_CODES.PROTOCOL_ERROR],
+    [frame(OPCODES.TEXT, '', { length: 2 ** 40 }),   CLOSE_CODES.TOO_BIG],
+  ];
+  for (const [buf, code] of cases) assert.equal(ws.parseFrames(buf).error.code, code);
+  assert.equal(ws.parseFrames(frame(OPCODES.TEXT, 'x'.repeat(200)), 100).error.code, CLOSE_CODES.TOO_BIG);
+});
+
+test('accept answers a bad upgrade with 400', () => {
+  for (const headers of [{ 'sec-websocket-version': '8' }, { 'sec-websocket-key': 'short' }, { upgrade: 'h2c' }]) {
+    const socket = fakeSocket();
+    assert.equal(ws.accept(upgrade(headers), socket), null);
+    assert.match(socket.written[0].toString(), /^HTTP\/1.1 400/);
+    assert.ok(socket.ended);
+  }
+});
+
+test('accept completes the handshake and delivers text and binary messages', () => {
+  const { socket, messages } = open();
+  assert.match(socket.written[0].toString(), /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+  socket.emit('data', Buffer.concat([frame(OPCODES.TEXT, 'héllo'), frame(OPCODES.BINARY, Buffer.from([1, 2]))]));
+  assert.deepEqual(messages[0], { data: 'héllo', binary: false });
+  assert.deepEqual([...messages[1].data], [1, 2]);
+  assert.equal(messages[1].binary, true);
+});
+
+test('fragmented messages are reassembled around interleaved pings', () => {
+  const { socket, messages } = open();
+  socket.emit('data', frame(OPCODES.TEXT, 'Hel', { fin: false }));
+  socket.emit('data', frame(OPCODES.PING, 'are you there'));
+  socket.emit('data', Buffer.concat([frame(OPCODES.CONTINUATION, 'lo, ', { fin: false }), frame(OPCODES.CONTINUATION, 'world')]));
+  assert.deepEqual(messages.map(m => m.data), ['Hello, world']);
+  const pong = socket.frames()[0];
+  assert.equal(pong.opcode, OPCODES.PONG);
+  assert.equal(pong.data.toString(), 'are you there');
+});
+
+test('a UTF-8 character split across fragments survives reassembly', () => {
+  const { socket, messages } = open();
+  const bytes = Buffer.from('€');
+  socket.emit('data', frame(OPCODES.TEXT, bytes.subarray(0, 1), { fin: false }));
+  socket.emit('data', frame(OPCODES.CONTINUATION, bytes.subarray(1)));
+  assert.deepEqual(messages.map(m => m.data), ['€']);
+});
+
+test('bad fragment sequences close with 1002', () => {
+  for (const bufs of [
+    [frame(OPCODES.CONTINUATION, 'orphan')],
+    [frame(OPCODES.TEXT, 'a', { fin: false }), frame(OPCODES.TEXT, 'b')],
+  ]) {
+    const { socket, messages } = open();
+    for (const b of bufs) socket.emit('data', b);
+    const close = socket.frames().pop();
+    assert.equal(close.opcode, OPCODES.CLOSE);
+    assert.equal(close.data.readUInt16BE(0), CLOSE_CODES.PROTOCOL_ERROR);
+    assert.ok(socket.ended);
+    assert.equal(messages.length, 0);
+  }
+});
+
+test('reassembled messages over the size cap close with 1009', () => {
+  const { socket, messages } = open({ maxPayload: 8 });
+  socket.emit('data', frame(OPCODES.TEXT, 'abcdef', { fin: false }));
+  socket.emit('data', frame(OPCODES.CONTINUATION, 'ghijkl'));
+  assert.equal(socket.frames().pop().data.readUInt16BE(0), CLOSE_CODES.TOO_BIG);
+  assert.equal(messages.length, 0);
+});
+
+test('invalid UTF-8 text closes with 1007', () => {
+  const { socket, messages } = open();
+  socket.emit('data', frame(OPCODES.TEXT, Buffer.from([0xc3, 0x28])));
+  assert.equal(socket.frames().pop().data.readUInt16BE(0), CLOSE_CODES.INVALID_DATA);
+  assert.equal(messages.length, 0);
+});
+
+test('a client close is echoed with its status code before the server hangs up', () => {
+  const { socket, closes } = open();
+  socket.emit('data', frame(OPCODES.CLOSE, closeBody(CLOSE_CODES.GOING_AWAY, 'bye')));
+  const echo = socket.frames().pop();
+  assert.equal(echo.opcode, OPCODES.CLOSE);
+  assert.equal(echo.data.readUInt16BE(0), CLOSE_CODES.GOING_AWAY);
+  assert.equal(echo.data.subarray(2).toString(), 'bye');
+  assert.ok(socket.ended);
+  socket.destroy();
+  assert.deepEqual(closes, [{ code: CLOSE_CODES.GOING_AWAY, reason: 'bye' }]);
+});
+
+test('an empty close frame is answered with an empty one', () => {
+  const { socket } = open();
+  socket.emit('data', frame(OPCODES.CLOSE));
+  assert.equal(socket.frames().pop().data.length, 0);
+});
+
+test('close frames with a bad status code are a protocol error', () => {
+  for (const body of [Buffer.from([0x03]), closeBody(1005), closeBody(999), closeBody(2999)]) {
+    const { socket } = open();
+    socket.emit('data', frame(OPCODES.CLOSE, body));
+    assert.equal(socket.frames().pop().data.readUInt16BE(0), CLOSE_CODES.PROTOCOL_ERROR);
+  }
+});
+
+test('server-initiated close waits for the reply, then gives up', t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const { socket, conn, closes } = open();
+  conn.close(4000, 'replaced');
+  conn.send('dropped after close');
+  const frames = socket.frames();
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].data.readUInt16BE(0), 4000);
+
+  socket.emit('data', frame(OPCODES.TEXT, 'ignored'));
+  assert.equal(socket.destroyed, false);
+  t.mock.timers.tick(5000);
+  assert.ok(socket.destroyed);
+  assert.deepEqual(closes, [{ code: 4000, reason: 'replaced' }]);
+});
+
+test('a close reply to our close ends the connection', () => {
+  const { socket, conn } = open();
+  conn.close();
+  socket.emit('data', frame(OPCODES.CLOSE, closeBody(CLOSE_CODES.NORMAL)));
+  assert.equal(socket.frames().length, 1); // no second close frame
+  assert.ok(socket.ended);
+});
+
+test('heartbeat pings idle peers and drops ones that never answer', t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const { socket, closes } = open({ heartbeatMs: 1000 });
+  t.mock.timers.tick(1000);
+  assert.equal(socket.frames().pop().opcode, OPCODES.PING);
+  socket.emit('data', frame(OPCODES.PONG));
+  t.mock.timers.tick(1000);
+  assert.equal(socket.destroyed, false);
+  t.mock.timers.tick(1000);
+  assert.ok(socket.destroyed);
+  assert.deepEqual(closes, [{ code: CLOSE_CODES.ABNORMAL, reason: '' }]);
+});
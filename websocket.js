@@ -0,0 +1,257 @@
+/**
+ * Minimal RFC 6455 WebSocket server side — Node built-ins only.
+ * Handles the opening handshake, masked client frames, fragmented messages,
+ * ping/pong, the close handshake and heartbeat pings for dead peers.
+ */
+
+const crypto = require('crypto');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT:         0x1,
+  BINARY:       0x2,
+  CLOSE:        0x8,
+  PING:         0x9,
+  PONG:         0xa,
+};
+
+const CLOSE_CODES = {
+  NORMAL:         1000,
+  GOING_AWAY:     1001,
+  PROTOCOL_ERROR: 1002,
+  NO_STATUS:      1005, // never sent on the wire
+  ABNORMAL:       1006, // never sent on the wire: the connection just dropped
+  INVALID_DATA:   1007,
+  TOO_BIG:        1009,
+};
+
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024;
+const CLOSE_TIMEOUT_MS    = 5000; // how long to wait for the peer to answer our close frame
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// Close codes a peer may legitimately put in a close frame (RFC 6455 §7.4)
+function validCloseCode(code) {
+  return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0), fin = true) {
+  if (typeof payload === 'string') payload = Buffer.from(payload, 'utf8');
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+function encodeClose(code, reason = '') {
+  if (code === undefined || code === CLOSE_CODES.NO_STATUS) return encodeFrame(OPCODES.CLOSE);
+  const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+  body.writeUInt16BE(code, 0);
+  body.write(reason, 2, 'utf8');
+  return encodeFrame(OPCODES.CLOSE, body.subarray(0, 125));
+}
+
+// Incrementally parse client frames from a growing buffer. Stops at the first
+// protocol violation and reports it as { code, reason } for the close frame.
+function parseFrames(buf, maxPayload = DEFAULT_MAX_PAYLOAD) {
+  const frames = [];
+  let offset = 0;
+  const fail = (code, reason) => ({ frames, remaining: Buffer.alloc(0), error: { code, reason } });
+
+  while (buf.length - offset >= 2) {
+    const b0     = buf[offset];
+    const b1     = buf[offset + 1];
+    const fin    = (b0 & 0x80) !== 0;
+    const opcode = b0 & 0x0f;
+    const masked = (b1 & 0x80) !== 0;
+    const ctrl   = opcode >= 0x8;
+
+    if (b0 & 0x70) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'Reserved bits set');
+    if (!Object.values(OPCODES).includes(opcode)) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'Unknown opcode');
+    if (!masked) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'Client frames must be masked');
+
+    let payloadLen = b1 & 0x7f;
+    let hdrEnd     = offset + 2;
+    if (payloadLen === 126) {
+      if (buf.length - offset < 4) break;
+      payloadLen = buf.readUInt16BE(offset + 2);
+      hdrEnd     = offset + 4;
+    } else if (payloadLen === 127) {
+      if (buf.length - offset < 10) break;
+      const big = buf.readBigUInt64BE(offset + 2);
+      if (big > BigInt(Number.MAX_SAFE_INTEGER)) return fail(CLOSE_CODES.TOO_BIG, 'Frame too large');
+      payloadLen = Number(big);
+      hdrEnd     = offset + 10;
+    }
+    if (ctrl && (!fin || payloadLen > 125)) return fail(CLOSE_CODES.PROTOCOL_ERROR, 'Bad control frame');
+    if (payloadLen > maxPayload) return fail(CLOSE_CODES.TOO_BIG, 'Frame too large');
+
+    const payloadStart = hdrEnd + 4;
+    const frameEnd     = payloadStart + payloadLen;
+    if (buf.length < frameEnd) break; // need more bytes
+
+    const mask = buf.subarray(hdrEnd, payloadStart);
+    const data = Buffer.alloc(payloadLen);
+    for (let i = 0; i < payloadLen; i++) data[i] = buf[payloadStart + i] ^ mask[i % 4];
+
+    frames.push({ fin, opcode, data });
+    offset = frameEnd;
+  }
+
+  return { frames, remaining: buf.subarray(offset), error: null };
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Completes the opening handshake on an 'upgrade' request and returns a
+// connection, or null (after answering 400) if the request isn't a valid one.
+//   onMessage(data, isBinary) — text arrives as a string, binary as a Buffer
+//   onClose(code, reason)     — called once, however the connection ends
+function accept(req, socket, { onMessage = () => {}, onClose = () => {}, maxPayload = DEFAULT_MAX_PAYLOAD, heartbeatMs = 0 } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers['upgrade'] || '').toLowerCase() !== 'websocket' || !key ||
+      Buffer.from(key, 'base64').length !== 16 || req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + acceptKey(key) + '\r\n' +
+    '\r\n'
+  );
+
+  let buf        = Buffer.alloc(0);
+  let fragments  = null; // { opcode, parts, size } while a fragmented message is arriving
+  let closeSent  = false;
+  let closed     = false;
+  let closeCode  = CLOSE_CODES.ABNORMAL;
+  let closeWhy   = '';
+  let closeTimer = null;
+  let alive      = true;
+
+  const write = frame => { if (!socket.destroyed) try { socket.write(frame); } catch (_) {} };
+
+  const conn = {
+    socket,
+    send(data) {
+      if (closeSent || closed) return;
+      write(encodeFrame(typeof data === 'string' ? OPCODES.TEXT : OPCODES.BINARY, data));
+    },
+    ping(data) { if (!closeSent && !closed) write(encodeFrame(OPCODES.PING, data)); },
+    // Start the close handshake; the socket is dropped if the peer never answers
+    close(code = CLOSE_CODES.NORMAL, reason = '') {
+      if (closeSent || closed) return;
+      closeSent = true;
+      closeCode = code;
+      closeWhy  = reason;
+      write(encodeClose(code, reason));
+      closeTimer = setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS);
+    },
+    // Drop the TCP connection without a close handshake
+    terminate() { socket.destroy(); },
+  };
+
+  const fail = (code, reason) => {
+    conn.close(code, reason);
+    socket.end();
+  };
+
+  const deliver = (opcode, data) => {
+    if (opcode === OPCODES.BINARY) { onMessage(data, true); return; }
+    let text;
+    try { text = utf8.decode(data); } catch (_) { fail(CLOSE_CODES.INVALID_DATA, 'Invalid UTF-8'); return; }
+    onMessage(text, false);
+  };
+
+  const onClosing = data => {
+    let code = CLOSE_CODES.NO_STATUS, reason = '';
+    if (data.length === 1) { fail(CLOSE_CODES.PROTOCOL_ERROR, 'Bad close frame'); return; }
+    if (data.length >= 2) {
+      code = data.readUInt16BE(0);
+      try { reason = utf8.decode(data.subarray(2)); } catch (_) { fail(CLOSE_CODES.INVALID_DATA, 'Invalid UTF-8'); return; }
+      if (!validCloseCode(code)) { fail(CLOSE_CODES.PROTOCOL_ERROR, 'Bad close code'); return; }
+    }
+    if (!closeSent) {
+      // Echo the peer's code, then close the TCP side as the server should
+      closeSent = true;
+      closeCode = code;
+      closeWhy  = reason;
+      write(encodeClose(code, reason));
+    }
+    socket.end();
+  };
+
+  const onFrame = ({ fin, opcode, data }) => {
+    alive = true;
+    if (opcode === OPCODES.CLOSE) { onClosing(data); return; }
+    if (closeSent) return; // nothing but the close reply matters now
+    if (opcode === OPCODES.PING) { write(encodeFrame(OPCODES.PONG, data)); return; }
+    if (opcode === OPCODES.PONG) return;
+
+    if (opcode === OPCODES.CONTINUATION) {
+      if (!fragments) { fail(CLOSE_CODES.PROTOCOL_ERROR, 'Unexpected continuation frame'); return; }
+      fragments.parts.push(data);
+      fragments.size += data.length;
+      if (fragments.size > maxPayload) { fail(CLOSE_CODES.TOO_BIG, 'Message too large'); return; }
+      if (!fin) return;
+      const { opcode: first, parts } = fragments;
+      fragments = null;
+      deliver(first, Buffer.concat(parts));
+      return;
+    }
+    if (fragments) { fail(CLOSE_CODES.PROTOCOL_ERROR, 'Expected a continuation frame'); return; }
+    if (fin) deliver(opcode, data);
+    else fragments = { opcode, parts: [data], size: data.length };
+  };
+
+  socket.on('data', chunk => {
+    if (closed) return;
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    const { frames, remaining, error } = parseFrames(buf, maxPayload);
+    buf = remaining;
+    for (const frame of frames) {
+      if (socket.destroyed) return;
+      onFrame(frame);
+    }
+    if (error) fail(error.code, error.reason);
+  });
+
+  const heartbeat = heartbeatMs > 0 && setInterval(() => {
+    if (!alive) { socket.destroy(); return; } // no reply to the last ping
+    alive = false;
+    conn.ping();
+  }, heartbeatMs);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(closeTimer);
+    onClose(closeSent ? closeCode : CLOSE_CODES.ABNORMAL, closeSent ? closeWhy : '');
+  };
+  socket.on('close', finish);
+  socket.on('end', () => socket.end());
+  socket.on('error', () => socket.destroy());
+
+  return conn;
+}
+
+module.exports = { OPCODES, CLOSE_CODES, acceptKey, encodeFrame, encodeClose, parseFrames, accept };